@@ -1,10 +1,21 @@
 import videoControllerFactory from './controllers/VideoControllerFactory.js';
 import UIController from './controllers/UIController.js';
+import HistoryPanel from './controllers/HistoryPanel.js';
+import TransitionController from './controllers/TransitionController.js';
 import eventEmitter from './utils/EventEmitter.js';
 import errorHandler from './utils/ErrorHandler.js';
 import { FrameRateLimiter, ColorAnalyzer } from './utils/performance.js';
-import { PERFORMANCE, UI, VIDEO } from './config/config.js';
+import { PERFORMANCE, PLAYLIST, TRANSITIONS, UI, VIDEO } from './config/config.js';
 import videoSourceManager from './videoSources.js';
+import playlistManager from './playlists.js';
+import router from './router.js';
+import watchProgress from './watchProgress.js';
+import nameResolver from './utils/NameResolver.js';
+import { parseContentPath } from './utils/cid.js';
+import offlineStore from './utils/OfflineStore.js';
+import { registerServiceWorker } from './utils/serviceWorker.js';
+import preloader from './utils/Preloader.js';
+import { isRenditionManifest, resolveRenditionPlayback } from './utils/renditions.js';
 
 // Global state (CRITICAL: these must be global)
 let isSeeking = false;
@@ -13,14 +24,9 @@ let bufferingUpdateScheduled = false;
 const providerIndices = new Map();
 let isDraggingProgress = false;
 
-// Video source management
-let currentVideoIndex = 0;
-const videoSources = [];
-
+// Your own CIDs, CID/paths, ipfs:// or gateway URLs; malformed entries are skipped
 const userCids = [
-  'QmXoypiz...', // Your first CID
-  'bafybeig...', // Your second CID
-  // Add more CIDs
+  // 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
 ];
 
 /**
@@ -43,6 +49,15 @@ class VideoApp {
         this.videoElement.playsInline = true;
         this.wrapper.appendChild(this.videoElement);
 
+        // Transitions load the next item in a hidden second element; the two swap roles
+        this.standbyElement = null;
+        if (TRANSITIONS.MODE !== 'off') {
+            this.standbyElement = document.createElement('video');
+            this.standbyElement.playsInline = true;
+            this.standbyElement.className = 'standby';
+            this.wrapper.appendChild(this.standbyElement);
+        }
+
         this.initialize();
     }
 
@@ -52,7 +67,13 @@ class VideoApp {
     initialize() {
         // Initialize controllers
         this.videoController = videoControllerFactory.createController(this.videoElement);
+        this.standbyController = this.standbyElement
+            ? videoControllerFactory.createController(this.standbyElement)
+            : null;
+        this.transitionController = new TransitionController();
+        this.pendingTransition = null;
         this.uiController = new UIController(this.container, this.wrapper);
+        this.historyPanel = new HistoryPanel(this.wrapper);
 
         // Initialize utilities
         this.frameLimiter = new FrameRateLimiter(30);
@@ -62,47 +83,140 @@ class VideoApp {
         this.setupKeyboardControls();
         this.setupColorAnalysis();
 
+        // Range caching and gateway failover for requests the page doesn't make itself
+        registerServiceWorker();
+
         // Load initial video sources
         this.loadVideoSources();
     }
 
     /**
-     * Load video sources
+     * Load video sources: a deep link wins, then the saved queue, then the defaults
      */
     async loadVideoSources() {
         try {
+            if (await this.applyRoute(router.getRoute(), 'replace')) {
+                return;
+            }
+
+            const saved = playlistManager.getCurrent();
+            if (saved) {
+                this.loadVideo(saved, { history: 'replace' });
+                return;
+            }
+
+            // A shared playlist CID expands into the queue when it loads
+            if (PLAYLIST.DEFAULT_CID) {
+                this.loadVideo(PLAYLIST.DEFAULT_CID, { history: 'replace' });
+                return;
+            }
+
             const sources = await videoSourceManager.getValidCids();
-            videoSources.push(...sources);
-            videoSources.push(...userCids.filter(cid => 
-                !videoSources.includes(cid) && 
+            const userSources = userCids
+                .map(cid => {
+                    const content = parseContentPath(cid);
+                    if (!content) {
+                        console.warn('Skipping malformed CID:', cid);
+                    }
+                    return content?.contentPath;
+                })
+                .filter(Boolean);
+            sources.push(...userSources.filter(cid => 
+                !sources.includes(cid) && 
                 videoSourceManager.getValidCids().includes(cid)
             ));
-            if (videoSources.length > 0) {
-                this.loadVideo(videoSources[0]);
+
+            const first = playlistManager.setQueue(sources);
+            if (first) {
+                this.loadVideo(first, { history: 'replace' });
             }
         } catch (error) {
             console.error('Failed to load video sources:', error);
         }
     }
 
+    /**
+     * Play what a deep link points at
+     * @param {Object} route - { cid, time, list, index } from the router
+     * @param {string} historyMode - How to record it: 'push', 'replace' or 'none'
+     * @returns {Promise<boolean>} - Whether the route selected something to play
+     */
+    async applyRoute(route, historyMode) {
+        let source = null;
+
+        if (route.list) {
+            try {
+                if (playlistManager.isPlaylistCid(route.list)) {
+                    source = await playlistManager.loadPlaylistCid(route.list);
+                } else if (playlistManager.getPlaylist(route.list)) {
+                    source = playlistManager.getQueue().playlist === route.list
+                        ? playlistManager.getCurrent()
+                        : playlistManager.playPlaylist(route.list);
+                }
+
+                if (source && route.index && route.index <= playlistManager.getQueue().items.length) {
+                    source = playlistManager.jumpTo(route.index - 1);
+                }
+            } catch (error) {
+                console.warn('Failed to open linked playlist:', error);
+            }
+        }
+
+        if (!source && route.cid) {
+            source = playlistManager.focus(route.cid);
+        }
+
+        if (!source) {
+            return false;
+        }
+        await this.loadVideo(source, { startTime: route.time, history: historyMode });
+        return true;
+    }
+
     /**
      * Load next video
      */
     loadNextVideo() {
-        if (videoSources.length === 0) return;
-        
-        currentVideoIndex = (currentVideoIndex + 1) % videoSources.length;
-        this.loadVideo(videoSources[currentVideoIndex]);
+        const source = playlistManager.next();
+        if (source) {
+            this.loadVideo(source, { history: 'push' });
+        }
     }
 
     /**
      * Load previous video
      */
     loadPrevVideo() {
-        if (videoSources.length === 0) return;
-        
-        currentVideoIndex = (currentVideoIndex - 1 + videoSources.length) % videoSources.length;
-        this.loadVideo(videoSources[currentVideoIndex]);
+        const source = playlistManager.previous();
+        if (source) {
+            this.loadVideo(source, { history: 'push' });
+        }
+    }
+
+    /**
+     * Continue with the queue after a video finishes
+     */
+    handleVideoEnded() {
+        // Gapless mode, or a crossfade whose start was missed, cuts straight over
+        if (this.pendingTransition?.ready) {
+            this.startTransition(0);
+            return;
+        }
+
+        const source = playlistManager.next({ auto: true });
+        if (!source) {
+            eventEmitter.emit('playlist:ended');
+            return;
+        }
+
+        // Repeat-one replays in place instead of reloading
+        if (playlistManager.getQueue().repeat === 'one') {
+            this.videoElement.currentTime = 0;
+            this.videoElement.play().catch(error => errorHandler.handleVideoError(error));
+            return;
+        }
+        // Automatic advance rewrites the URL rather than growing the history
+        this.loadVideo(source, { history: 'replace' });
     }
 
     /**
@@ -145,28 +259,135 @@ class VideoApp {
         eventEmitter.on('provider:disabled', (provider) => {
             console.warn(`Provider ${provider} has been disabled due to errors`);
         });
+
+        // Resume offer accepted in the UI
+        eventEmitter.on('progress:resume', ({ time }) => {
+            this.seekWhenReady(time);
+        });
+
+        // Download or remove the offline copy of the current video
+        eventEmitter.on('offline:toggle', () => {
+            this.toggleOffline();
+        });
+        eventEmitter.on('offline:saved', () => this.refreshOfflineStatus());
+        eventEmitter.on('offline:removed', () => this.refreshOfflineStatus());
+        eventEmitter.on('offline:error', ({ cid, error }) => {
+            if (error.name !== 'AbortError') {
+                console.warn(`Download of ${cid} failed:`, error);
+            }
+            this.refreshOfflineStatus();
+        });
+
+        // Keep a preload only while it is still the next (or now current) item,
+        // and a prepared transition only while it is still the next item
+        eventEmitter.on('queue:changed', () => {
+            this.watchQueueName(playlistManager.getQueueOrigin());
+            preloader.retain([playlistManager.getCurrent(), playlistManager.peekNext()]);
+            if (this.pendingTransition && this.pendingTransition.source !== playlistManager.peekNext()) {
+                this.cancelTransition();
+            }
+        });
+
+        // Replay from the history panel
+        eventEmitter.on('history:play', ({ cid }) => {
+            this.loadVideo(playlistManager.focus(cid), { history: 'push' });
+        });
+
+        // Quality menu: a level index, or null for automatic
+        eventEmitter.on('quality:select', ({ index }) => {
+            try {
+                this.videoController.setQuality(index);
+            } catch (error) {
+                console.warn('Quality selection failed:', error);
+            }
+            this.uiController.updateQualityMenu(this.videoController.getQuality());
+        });
+        eventEmitter.on('video:quality-changed', ({ cid }) => {
+            if (cid === this.videoController.getCurrentCid()) {
+                this.uiController.updateQualityMenu(this.videoController.getQuality());
+            }
+        });
+
+        // Back/forward through deep links
+        eventEmitter.on('route:changed', (route) => {
+            this.applyRoute(route, 'none');
+        });
+
+        // A watched name now points somewhere else. A queued playlist published
+        // under it is re-expanded; anything else is picked up by the next load.
+        eventEmitter.on('name:updated', ({ name, cid }) => {
+            console.log(`${name} now resolves to ${cid}`);
+            const origin = playlistManager.getQueueOrigin();
+            if (origin && nameResolver.parse(origin)?.name === name) {
+                this.refreshQueuePlaylist(origin);
+            } else {
+                videoSourceManager.validateCid(cid);
+            }
+        });
+        this.watchQueueName(playlistManager.getQueueOrigin());
     }
 
     /**
-     * Register video event listeners
+     * Queue the new version of a playlist whose name was updated
+     * @param {string} origin - IPNS name or DNSLink domain of the playlist
+     * @returns {Promise<void>}
+     */
+    async refreshQueuePlaylist(origin) {
+        try {
+            const content = parseContentPath(await videoSourceManager.resolveSource(origin));
+            if (content && !content.path && playlistManager.isPlaylistCid(content.cid)) {
+                await playlistManager.refreshPlaylistCid(content.cid, origin);
+            }
+        } catch (error) {
+            console.warn(`Failed to refresh playlist ${origin}:`, error);
+        }
+    }
+
+    /**
+     * Register video event listeners on both elements. Handlers only run for
+     * the element that is currently playing, so they follow it across swaps.
      */
     registerVideoEventListeners() {
-        this.videoElement.addEventListener('timeupdate', () => {
+        [this.videoElement, this.standbyElement]
+            .filter(Boolean)
+            .forEach(video => this.registerElementListeners(video));
+    }
+
+    /**
+     * Register video event listeners on one element
+     * @param {HTMLVideoElement} video - Video element
+     */
+    registerElementListeners(video) {
+        const on = (type, handler) => {
+            video.addEventListener(type, (e) => {
+                if (video === this.videoElement) {
+                    handler(e);
+                }
+            });
+        };
+
+        on('timeupdate', () => {
             eventEmitter.emit('video:timeupdate', {
+                cid: this.videoController.getCurrentCid(),
                 currentTime: this.videoElement.currentTime,
                 duration: this.videoElement.duration
             });
+            router.updateTime(this.videoElement.currentTime);
+            this.preloadNextIfReady();
+            this.prepareTransitionIfReady();
         });
 
-        this.videoElement.addEventListener('play', () => {
+        on('play', () => {
             eventEmitter.emit('video:play');
         });
 
-        this.videoElement.addEventListener('pause', () => {
+        on('pause', () => {
             eventEmitter.emit('video:pause');
+            router.updateTime(this.videoElement.currentTime, true);
+            watchProgress.flush();
         });
 
-        this.videoElement.addEventListener('waiting', () => {
+        on('waiting', () => {
             if (!bufferingUpdateScheduled && !isSeeking) {
                 bufferingUpdateScheduled = true;
                 setTimeout(() => {
@@ -180,23 +401,23 @@ class VideoApp {
             }
         });
 
-        this.videoElement.addEventListener('seeking', () => {
+        on('seeking', () => {
             isSeeking = true;
             this.uiController.handleBufferingStart(true);
             eventEmitter.emit('video:seeking-start');
         });
 
-        this.videoElement.addEventListener('seeked', () => {
+        on('seeked', () => {
             isSeeking = false;
             this.uiController.handleBufferingEnd();
             eventEmitter.emit('video:seeking-end');
         });
 
-        this.videoElement.addEventListener('ended', () => {
-            this.loadNextVideo();
+        on('ended', () => {
+            this.handleVideoEnded();
         });
 
-        this.videoElement.addEventListener('error', (e) => {
+        on('error', (e) => {
             errorHandler.handleVideoError(e.error || new Error('Video playback error'));
         });
     }
@@ -209,7 +430,7 @@ class VideoApp {
         const startTime = performance.now();
         isRecovering = true;
         const currentTime = this.videoElement.currentTime;
-        const currentCid = videoSources[currentVideoIndex];
+        const currentCid = playlistManager.getCurrent();
         const bufferTimeout = 1500;
         const recoveryAbortController = new AbortController();
         try {
@@ -301,6 +522,10 @@ class VideoApp {
                     event.preventDefault();
                     this.videoElement.muted = !this.videoElement.muted;
                     break;
+                case 'h':
+                    event.preventDefault();
+                    eventEmitter.emit('history:toggle');
+                    break;
             }
         });
     }
@@ -317,7 +542,13 @@ class VideoApp {
             }
 
             try {
-                const hue = this.colorAnalyzer.getDominantHue(this.videoElement);
+                let hue = this.colorAnalyzer.getDominantHue(this.videoElement);
+                // Mid-transition the theme drifts from the outgoing picture to the incoming one
+                const fade = this.transitionController.getFade();
+                if (fade) {
+                    const previous = this.colorAnalyzer.getDominantHue(fade.outgoing);
+                    hue = this.colorAnalyzer.mixHues(previous, hue, fade.progress);
+                }
                 this.container.style.setProperty('--video-hue', hue);
             } catch (error) {
                 console.warn('Frame analysis error:', error);
@@ -326,42 +557,370 @@ class VideoApp {
             animationFrame = requestAnimationFrame(analyzeFrame);
         };
 
-        this.videoElement.addEventListener('play', () => {
-            animationFrame = requestAnimationFrame(analyzeFrame);
-        });
-
-        this.videoElement.addEventListener('pause', () => {
-            if (animationFrame) {
+        [this.videoElement, this.standbyElement].filter(Boolean).forEach(video => {
+            video.addEventListener('play', () => {
+                if (video !== this.videoElement) return;
                 cancelAnimationFrame(animationFrame);
-            }
+                animationFrame = requestAnimationFrame(analyzeFrame);
+            });
+
+            video.addEventListener('pause', () => {
+                if (video === this.videoElement && animationFrame) {
+                    cancelAnimationFrame(animationFrame);
+                }
+            });
         });
     }
 
     /**
      * Load and play a video
      * @param {string} videoId - Video ID or CID
+     * @param {Object} options - { startTime } to seek to once metadata loads,
+     *   { history } 'push', 'replace' or 'none' for the deep link
      * @returns {Promise<void>}
      */
-    async loadVideo(videoId) {
+    async loadVideo(videoId, options = {}) {
+        const { startTime = null, history: historyMode = 'push' } = options;
         console.log('Attempting to load CID:', videoId);
+        watchProgress.stop();
         try {
-            const isValid = await videoSourceManager.validateCid(videoId);
-            console.log(`CID ${videoId} valid:`, isValid);
-            
-            await this.videoController.load(videoId);
+            // IPLD documents are either a rendition manifest to play, or a
+            // playlist that replaces the queue and starts its first entry.
+            // A name may point at either; a playlist then follows the name.
+            const origin = nameResolver.isName(videoId) ? videoId : null;
+            const content = parseContentPath(origin ? await videoSourceManager.resolveSource(origin) : videoId);
+            let playback = null;
+            if (content && !content.path && playlistManager.isPlaylistCid(content.cid)) {
+                const node = await videoSourceManager.fetchDag(content.cid, { timeout: PLAYLIST.LOAD_TIMEOUT });
+                if (isRenditionManifest(node)) {
+                    const source = resolveRenditionPlayback(content.cid, node);
+                    playback = { cid: content.cid, source, preloaded: null };
+                } else {
+                    const first = await playlistManager.loadPlaylistCid(content.cid, node, origin);
+                    if (first) {
+                        await this.loadVideo(first, options);
+                    }
+                    return;
+                }
+            }
+
+            // Loading anything directly drops a transition prepared for the next item
+            this.cancelTransition();
+            this.watchName(videoId);
+
+            const { cid, source, preloaded } = playback || await this.resolvePlayback(videoId);
+            await this.videoController.load(source.path, {
+                sidecars: source.sidecars,
+                renditions: source.renditions,
+                preferredProvider: preloaded?.provider,
+                head: preloaded?.head
+            });
             console.log('Playback started successfully');
+            this.startPlayback(videoId, cid, startTime, historyMode);
         } catch (error) {
             console.error('Load failed:', error);
             errorHandler.handleVideoError(error);
         }
     }
 
+    /**
+     * Keep IPNS names and DNSLink domains re-resolving while they play
+     * @param {string} videoId - Source being played
+     */
+    watchName(videoId) {
+        if (this.currentName && this.currentName !== videoId && this.currentName !== this.queueName) {
+            nameResolver.unwatch(this.currentName);
+        }
+        this.currentName = nameResolver.isName(videoId) ? videoId : null;
+        if (this.currentName) {
+            nameResolver.watch(videoId);
+        }
+    }
+
+    /**
+     * Keep the name the queued playlist was loaded through re-resolving, so
+     * updates to the playlist reach the queue
+     * @param {string|null} name - IPNS name or DNSLink domain, null for none
+     */
+    watchQueueName(name) {
+        if (this.queueName && this.queueName !== name && this.queueName !== this.currentName) {
+            nameResolver.unwatch(this.queueName);
+        }
+        this.queueName = name;
+        if (name) {
+            nameResolver.watch(name);
+        }
+    }
+
+    /**
+     * Resolve a source to the file to play, reusing a preload when there is one
+     * @param {string} videoId - Source reference
+     * @returns {Promise<Object>} - { cid, source: { path, sidecars }, preloaded }
+     */
+    async resolvePlayback(videoId) {
+        // A preload of this item already resolved it and picked its provider
+        const preloaded = await preloader.take(videoId);
+        if (preloaded) {
+            return { cid: preloaded.cid, source: preloaded.playback, preloaded };
+        }
+
+        const cid = await videoSourceManager.resolveSource(videoId);
+        const isValid = await videoSourceManager.validateCid(cid);
+        console.log(`CID ${cid} valid:`, isValid);
+
+        // Directory CIDs play their main video file with its sidecars
+        return { cid, source: videoSourceManager.getPlaybackSource(cid), preloaded: null };
+    }
+
+    /**
+     * Bookkeeping once a video is loaded in the active element
+     * @param {string} videoId - Source that was loaded
+     * @param {string} cid - Resolved content path
+     * @param {number|null} startTime - Deep-link start time
+     * @param {string} historyMode - 'push', 'replace' or 'none'
+     */
+    startPlayback(videoId, cid, startTime, historyMode) {
+        this.refreshOfflineStatus();
+        this.uiController.updateQualityMenu(this.videoController.getQuality());
+
+        // A deep-link timestamp wins over the saved position
+        const resumeTime = watchProgress.track(cid, { resume: !(startTime > 0) });
+        if (startTime > 0) {
+            this.seekWhenReady(startTime);
+        } else if (resumeTime !== null) {
+            eventEmitter.emit('progress:resume-available', { cid, time: resumeTime });
+        }
+        this.updateRoute(videoId, startTime, historyMode);
+    }
+
+    /**
+     * Load the next queue item into the standby element as the current one nears its end
+     */
+    prepareTransitionIfReady() {
+        if (!this.standbyController || this.transitionController.isFading()) return;
+
+        const { currentTime, duration } = this.videoElement;
+        if (!(duration > 0)) return;
+        const remaining = duration - currentTime;
+
+        if (!this.pendingTransition && remaining <= TRANSITIONS.PREPARE_AHEAD) {
+            // Repeat-one replays in place, so there is nothing to hand over to
+            const next = playlistManager.peekNext();
+            if (next && playlistManager.getQueue().repeat !== 'one') {
+                this.prepareTransition(next);
+            }
+        }
+
+        if (TRANSITIONS.MODE === 'crossfade' && this.pendingTransition?.ready &&
+            remaining <= TRANSITIONS.CROSSFADE_DURATION) {
+            this.startTransition(TRANSITIONS.CROSSFADE_DURATION);
+        }
+    }
+
+    /**
+     * Load a source into the standby element, paused and hidden
+     * @param {string} source - Source reference
+     * @returns {Promise<void>}
+     */
+    async prepareTransition(source) {
+        const transition = { source, cid: null, ready: false };
+        this.pendingTransition = transition;
+
+        // IPLD documents (playlists, rendition manifests) go through loadVideo on ended
+        const content = parseContentPath(source);
+        if (content && !content.path && playlistManager.isPlaylistCid(content.cid)) return;
+
+        try {
+            const { cid, source: playback, preloaded } = await this.resolvePlayback(source);
+            if (this.pendingTransition !== transition) return;
+
+            this.standbyElement.pause();
+            await this.standbyController.load(playback.path, {
+                sidecars: playback.sidecars,
+                preferredProvider: preloaded?.provider,
+                head: preloaded?.head
+            });
+            if (this.pendingTransition !== transition) return;
+
+            transition.cid = cid;
+            transition.ready = true;
+        } catch (error) {
+            // The entry stays unready so it isn't retried; ended falls back to loadVideo
+            console.warn(`Could not prepare ${source} for a transition:`, error);
+            if (this.pendingTransition === transition) {
+                this.standbyController.unload();
+            }
+        }
+    }
+
+    /**
+     * Advance the queue and hand playback to the prepared standby element
+     * @param {number} duration - Crossfade length in seconds
+     * @returns {Promise<void>}
+     */
+    async startTransition(duration) {
+        const transition = this.pendingTransition;
+        this.pendingTransition = null;
+
+        const source = playlistManager.next({ auto: true });
+        if (source !== transition.source) {
+            this.standbyController.unload();
+            if (source) {
+                this.loadVideo(source, { history: 'replace' });
+            }
+            return;
+        }
+
+        watchProgress.stop();
+        const outgoing = { element: this.videoElement, controller: this.videoController };
+        this.videoElement = this.standbyElement;
+        this.videoController = this.standbyController;
+        this.standbyElement = outgoing.element;
+        this.standbyController = outgoing.controller;
+        this.watchName(source);
+        this.startPlayback(source, transition.cid, null, 'replace');
+
+        try {
+            await this.transitionController.crossfade(outgoing.element, this.videoElement, duration);
+        } catch (error) {
+            // Autoplay was refused; the incoming element is visible but paused
+            errorHandler.handleVideoError(error);
+        }
+
+        // Empty the outgoing element unless the next transition is already loading into it
+        if (!this.pendingTransition) {
+            this.standbyController.unload();
+        }
+    }
+
+    /**
+     * Drop a prepared transition and empty the standby element
+     */
+    cancelTransition() {
+        this.transitionController.finish();
+        if (this.pendingTransition) {
+            this.pendingTransition = null;
+            this.standbyController?.unload();
+        }
+    }
+
+    /**
+     * Start preloading the next queue item once the current one nears its end
+     * or has a healthy buffer
+     */
+    preloadNextIfReady() {
+        const { currentTime, duration, buffered } = this.videoElement;
+        if (!(duration > 0)) return;
+
+        let bufferedAhead = 0;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= currentTime && buffered.end(i) >= currentTime) {
+                bufferedAhead = buffered.end(i) - currentTime;
+            }
+        }
+
+        const nearEnd = duration - currentTime <= PERFORMANCE.PRELOAD.LEAD_TIME;
+        const healthy = bufferedAhead >= PERFORMANCE.PRELOAD.BUFFER_AHEAD;
+        if (!nearEnd && !healthy) return;
+
+        const next = playlistManager.peekNext();
+        if (!next || next === playlistManager.getCurrent()) return;
+
+        // Playlist documents expand into the queue when loaded; there is no video to warm up
+        const content = parseContentPath(next);
+        if (content && !content.path && playlistManager.isPlaylistCid(content.cid)) return;
+
+        preloader.preload(next, this.videoController.providers);
+    }
+
+    /**
+     * Download the current video, or cancel or delete its download
+     * @returns {Promise<void>}
+     */
+    async toggleOffline() {
+        const cid = this.videoController.getCurrentCid();
+        if (!cid) return;
+
+        if (offlineStore.isDownloading(cid)) {
+            offlineStore.cancel(cid);
+            return;
+        }
+
+        if (await offlineStore.has(cid)) {
+            await offlineStore.remove(cid);
+            return;
+        }
+
+        const download = this.videoController.download(cid);
+        this.refreshOfflineStatus();
+        // Failures are reported through offline:error
+        download.catch(() => {});
+    }
+
+    /**
+     * Tell the UI whether the current video is stored offline and how much space is used
+     * @returns {Promise<void>}
+     */
+    async refreshOfflineStatus() {
+        const cid = this.videoController.getCurrentCid();
+        if (!cid || !offlineStore.isSupported()) return;
+
+        try {
+            const [saved, { usage, quota }] = await Promise.all([
+                offlineStore.has(cid),
+                offlineStore.getQuota()
+            ]);
+            eventEmitter.emit('offline:status', {
+                cid,
+                saved,
+                downloading: offlineStore.isDownloading(cid),
+                usage,
+                quota
+            });
+        } catch (error) {
+            console.warn('Failed to read offline status:', error);
+        }
+    }
+
+    /**
+     * Seek once the video knows its duration
+     * @param {number} time - Time in seconds
+     */
+    seekWhenReady(time) {
+        if (this.videoElement.readyState >= HTMLMediaElement.HAVE_METADATA) {
+            this.seekTo(time);
+            return;
+        }
+        this.videoElement.addEventListener('loadedmetadata', () => this.seekTo(time), { once: true });
+    }
+
+    /**
+     * Write the deep link for the video now playing
+     * @param {string} videoId - Source that was loaded
+     * @param {number|null} time - Start time
+     * @param {string} historyMode - 'push', 'replace' or 'none'
+     */
+    updateRoute(videoId, time, historyMode) {
+        if (historyMode === 'none') return;
+
+        const queue = playlistManager.getQueue();
+        const inList = queue.playlist && playlistManager.getCurrent() === videoId;
+        router.navigate({
+            cid: videoId,
+            time,
+            list: inList ? queue.playlist : null,
+            index: inList ? queue.position + 1 : null
+        }, historyMode);
+    }
+
     /**
      * Clean up resources
      */
     dispose() {
         this.videoController.dispose();
+        this.standbyController?.dispose();
         this.uiController.dispose();
+        this.historyPanel.dispose();
         this.colorAnalyzer.dispose();
         this.container.innerHTML = '';
     }
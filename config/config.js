@@ -8,7 +8,105 @@ export const PROVIDERS = {
     'eth.aragon.network': 'Aragon',
     'dweb.link': 'IPFS',
     'flk-ipfs.xyz': 'Fleek'
-  }
+  },
+  // URL templates for the built-in gateways; {cid} is replaced with the content ID
+  templates: {
+    'ipfs.io': 'https://ipfs.io/ipfs/{cid}',
+    'algonode.xyz': 'https://ipfs.algonode.xyz/ipfs/{cid}',
+    'eth.aragon.network': 'https://ipfs.eth.aragon.network/ipfs/{cid}',
+    'dweb.link': 'https://{cid}.ipfs.dweb.link',
+    'flk-ipfs.xyz': 'https://{cid}.ipfs.flk-ipfs.xyz'
+  },
+  STORAGE_KEY: 'gatewayConfig',
+  PARALLEL_LOOKUPS: 3 // gateways queried at once for metadata and name lookups
+};
+
+export const LOCAL_NODE = {
+  ENABLED: true, // Offer a local Kubo node as a provider when it is reachable
+  ID: 'local',
+  NAME: 'Local node',
+  GATEWAY_URL: 'http://127.0.0.1:8080', // Kubo gateway
+  API_URL: 'http://127.0.0.1:5001', // Kubo RPC
+  PROBE_TIMEOUT: 1000, // ms
+  PROBE_INTERVAL: 30000, // ms
+  RPC_TIMEOUT: 10000 // ms
+};
+
+export const NAMES = {
+  STORAGE_KEY: 'nameCache',
+  DEFAULT_TTL: 5 * 60 * 1000, // used when a resolution carries no TTL
+  MIN_TTL: 30 * 1000, // ms
+  MAX_TTL: 24 * 60 * 60 * 1000, // ms
+  RESOLVE_TIMEOUT: 5000 // ms
+};
+
+export const GATEWAY_HEALTH = {
+  STORAGE_KEY: 'gatewayHealth',
+  MAX_SAMPLES: 200, // per gateway
+  HALF_LIFE: 24 * 60 * 60 * 1000, // samples lose half their weight per day
+  MIN_WEIGHT: 0.01, // samples below this weight are dropped
+  DISABLE_DURATION: 60 * 60 * 1000, // 1 hour
+  REFERENCE_TTFB: 1000, // ms, TTFB that halves the latency factor
+  REFERENCE_THROUGHPUT: 1024 * 1024, // bytes/s, throughput that halves the speed factor
+  TTFB_BUCKETS: [100, 250, 500, 1000, 2000, 5000], // ms
+  THROUGHPUT_BUCKETS: [128 * 1024, 512 * 1024, 1024 * 1024, 4 * 1024 * 1024, 16 * 1024 * 1024], // bytes/s
+  SAVE_DELAY: 2000 // ms
+};
+
+export const VERIFICATION = {
+  ENABLED: false, // Fetch CAR responses and check every block against the CID
+  STORAGE_KEY: 'trustlessMode'
+};
+
+export const PLAYLIST = {
+  STORAGE_KEY: 'playlists',
+  IMPORT_CONCURRENCY: 4, // entries validated at once during import
+  DAG_CODEC: 'dag-cbor', // codec playlists are published with: 'dag-cbor' or 'dag-json'
+  LOAD_TIMEOUT: 10000, // ms to fetch a playlist DAG
+  DEFAULT_CID: null // playlist DAG to start with instead of VIDEO.PRELOADED_CIDS
+};
+
+export const PROGRESS = {
+  STORAGE_KEY: 'watchProgress',
+  SAVE_INTERVAL: 5000, // ms between saves while playing
+  FINISHED_RATIO: 0.95, // watched past this share of the duration counts as finished
+  MIN_RESUME_TIME: 10, // seconds; earlier positions start over instead of offering to resume
+  MAX_ITEMS: 100 // videos remembered, least recently watched dropped first
+};
+
+export const HISTORY = {
+  STORAGE_KEY: 'watchHistory',
+  SAVE_INTERVAL: 5000, // ms between saves while playing
+  MAX_TIME_STEP: 2, // seconds; longer jumps between time updates are seeks, not watch time
+  MAX_ITEMS: 100 // videos remembered, least recently watched dropped first
+};
+
+export const OFFLINE = {
+  CACHE_NAME: 'ipfs-video-offline', // Cache Storage cache holding downloaded videos
+  PATH_PREFIX: '/offline/', // cache keys are this prefix plus the content path
+  PROGRESS_STEP: 1024 * 1024 // bytes between download progress events
+};
+
+export const SERVICE_WORKER = {
+  ENABLED: true, // Cache gateway byte ranges and fail over between gateways in sw.js
+  SCRIPT_URL: './sw.js',
+  CACHE_NAME: 'ipfs-video-ranges',
+  PIECE_SIZE: 1024 * 1024, // bytes per cached piece, matching VIDEO_SETTINGS.NETWORK.CHUNK_SIZE
+  PIECES_PER_REQUEST: 4, // pieces fetched or served per open-ended range request
+  CACHE_BUDGET: 200 * 1024 * 1024, // bytes kept, four times VIDEO_SETTINGS.MAX_BUFFER_SIZE
+  SERVED_BY_HEADER: 'X-Served-By', // names the gateway that answered, or 'cache' for cached pieces
+  CACHE_SOURCE: 'cache'
+};
+
+export const TRANSITIONS = {
+  MODE: 'crossfade', // 'crossfade', 'gapless' (cut on ended) or 'off' (single video element)
+  CROSSFADE_DURATION: 2, // seconds of overlapping picture and sound
+  PREPARE_AHEAD: 15 // seconds before the end at which the next item loads in the standby element
+};
+
+export const ROUTER = {
+  MODE: 'query', // 'query' writes ?cid=…&t=…, 'hash' writes #cid=…&t=…
+  TIME_UPDATE_INTERVAL: 5000 // ms between timestamp updates in the URL
 };
 
 export const VIDEO = {
@@ -86,6 +184,7 @@ export const UI = {
   TIMESTAMP_OFFSET_BOTTOM: 20, // px from progress bar
   POPUP_TRANSITION_DURATION: 0.05, // seconds
   MULTI_TAP_DELAY: 200, // ms between taps
+  RESUME_PROMPT_TIMEOUT: 10000, // ms the resume offer stays up
   SAMPLING: {
     WIDTH: 32,
     HEIGHT: 32,
@@ -105,7 +204,11 @@ export const PERFORMANCE = {
     HUE: 200 // 5fps
   },
   PRELOAD: {
-    TIMEOUT: 4000 // 4 seconds
+    TIMEOUT: 4000, // 4 seconds
+    LEAD_TIME: 30, // seconds before the end at which the next item starts preloading
+    BUFFER_AHEAD: 20, // seconds buffered ahead that count as a healthy buffer
+    BYTES: 2 * 1024 * 1024, // leading bytes fetched ahead of time
+    PROVIDERS: 3 // providers raced for the leading bytes
   }
 };
 
@@ -61,8 +61,11 @@ export const VIDEO_SETTINGS = {
 
     // Media source settings
     MSE: {
+        ENABLED: true, // Feed BufferManager chunks through MediaSource when supported
         SEGMENT_DURATION: 2, // seconds
-        BUFFER_SIZE: 30, // seconds
+        BUFFER_SIZE: 30, // seconds of played media kept before eviction
+        BUFFER_AHEAD: 30, // seconds of segments fetched ahead of the playhead
+        SEEK_ATTEMPTS: 3, // ranges probed for the fragment at a seek target before falling back to progressive
         MIME_TYPES: {
             MP4: 'video/mp4; codecs="avc1.42E01E,mp4a.40.2"',
             WEBM: 'video/webm; codecs="vp8,vorbis"'
@@ -73,7 +76,12 @@ export const VIDEO_SETTINGS = {
     NETWORK: {
         CHUNK_SIZE: 1024 * 1024, // 1MB
         CONCURRENT_CHUNKS: 3,
+        SWARM_PROVIDERS: 3, // healthiest gateways ranges are spread across
+        RANGE_STALL_TIMEOUT: 4000, // ms before a range is re-requested elsewhere
         BANDWIDTH_ESTIMATION_TIME: 5000, // ms
+        BANDWIDTH_MIN_SAMPLE_SIZE: 16 * 1024, // bytes; smaller downloads mostly measure latency
+        BANDWIDTH_OUTLIER_FACTOR: 4, // samples this far off the median throughput are ignored
+        BANDWIDTH_SAMPLE_INTERVAL: 1000, // ms between samples taken from a progressive download
         MIN_BANDWIDTH: 500 * 1024, // 500kbps
         LOW_BANDWIDTH_THRESHOLD: 1.5 * 1024 * 1024 // 1.5Mbps
     },
@@ -81,6 +89,11 @@ export const VIDEO_SETTINGS = {
     // Quality settings
     QUALITY: {
         AUTO_QUALITY_INTERVAL: 5000, // ms
+        ABR_STRATEGY: 'hybrid', // 'throughput', 'bola' or 'hybrid'
+        MIN_SWITCH_INTERVAL: 10000, // ms between automatic switches, unless the buffer runs low
+        SWITCH_GRACE_PERIOD: 6000, // ms after a switch during which a low buffer is left to refill
+        BANDWIDTH_SAFETY_FACTOR: 0.8, // share of the bandwidth a level's bitrate may use
+        UP_SWITCH_MARGIN: 0.15, // extra headroom a higher level needs before switching up
         BUFFER_THRESHOLD_LOW: 5, // seconds
         BUFFER_THRESHOLD_HIGH: 15, // seconds
         QUALITY_LEVELS: [
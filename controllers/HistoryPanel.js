@@ -0,0 +1,256 @@
+import eventEmitter from '../utils/EventEmitter.js';
+import watchHistory from '../watchHistory.js';
+
+/**
+ * Browsable list of watched videos with their statistics
+ */
+class HistoryPanel {
+  constructor(wrapperElement) {
+    this.wrapper = wrapperElement;
+    if (!this.wrapper) {
+      throw new Error('Video wrapper element is required');
+    }
+
+    this.visible = false;
+    this.elements = {
+      panel: null,
+      list: null,
+      clearButton: null,
+      closeButton: null
+    };
+
+    this.initialize();
+  }
+
+  /**
+   * Initialize the panel
+   */
+  initialize() {
+    this.createElements();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Create panel elements
+   */
+  createElements() {
+    this.elements.panel = document.createElement('aside');
+    this.elements.panel.className = 'history-panel hidden';
+    this.elements.panel.setAttribute('aria-label', 'Watch history');
+
+    const header = document.createElement('div');
+    header.className = 'history-header';
+
+    const title = document.createElement('h2');
+    title.textContent = 'History';
+
+    this.elements.clearButton = document.createElement('button');
+    this.elements.clearButton.className = 'history-clear';
+    this.elements.clearButton.textContent = 'Clear';
+
+    this.elements.closeButton = document.createElement('button');
+    this.elements.closeButton.className = 'history-close';
+    this.elements.closeButton.setAttribute('aria-label', 'Close history');
+    this.elements.closeButton.textContent = '×';
+
+    this.elements.list = document.createElement('ul');
+    this.elements.list.className = 'history-list';
+
+    header.appendChild(title);
+    header.appendChild(this.elements.clearButton);
+    header.appendChild(this.elements.closeButton);
+    this.elements.panel.appendChild(header);
+    this.elements.panel.appendChild(this.elements.list);
+
+    this.wrapper.appendChild(this.elements.panel);
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.elements.clearButton.addEventListener('click', () => {
+      if (confirm('Clear watch history?')) {
+        watchHistory.clear();
+      }
+    });
+    this.elements.closeButton.addEventListener('click', () => this.hide());
+
+    // One listener for every entry's play and remove buttons
+    this.elements.list.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-cid]');
+      if (!item) return;
+
+      if (e.target.closest('.history-remove')) {
+        watchHistory.remove(item.dataset.cid);
+      } else {
+        eventEmitter.emit('history:play', { cid: item.dataset.cid });
+        this.hide();
+      }
+    });
+
+    // Keep pointer events from reaching the player's seek handling
+    this.elements.panel.addEventListener('pointerdown', (e) => e.stopPropagation());
+
+    eventEmitter.on('history:toggle', () => this.toggle());
+    eventEmitter.on('history:changed', () => {
+      if (this.visible) this.render();
+    });
+  }
+
+  /**
+   * Show the panel
+   */
+  show() {
+    this.visible = true;
+    this.render();
+    this.elements.panel.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    this.visible = false;
+    this.elements.panel.classList.add('hidden');
+  }
+
+  /**
+   * Show or hide the panel
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Rebuild the list from the history store
+   */
+  render() {
+    const entries = watchHistory.getEntries();
+    this.elements.list.replaceChildren();
+    this.elements.clearButton.disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = 'Nothing watched yet';
+      this.elements.list.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => this.elements.list.appendChild(this.createItem(entry)));
+  }
+
+  /**
+   * Create the list item for a history entry
+   * @param {Object} entry - History entry
+   * @returns {HTMLLIElement} - List item
+   */
+  createItem(entry) {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.dataset.cid = entry.cid;
+    item.title = entry.cid;
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'history-thumbnail';
+    if (entry.thumbnail) {
+      const image = document.createElement('img');
+      image.src = entry.thumbnail;
+      image.alt = '';
+      image.loading = 'lazy';
+      thumbnail.appendChild(image);
+    }
+
+    const completion = document.createElement('div');
+    completion.className = 'history-completion';
+    completion.style.width = `${Math.round(entry.completion * 100)}%`;
+    thumbnail.appendChild(completion);
+
+    const details = document.createElement('div');
+    details.className = 'history-details';
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = this.getTitle(entry);
+
+    const stats = document.createElement('div');
+    stats.className = 'history-stats';
+    stats.textContent = [
+      this.formatRelative(entry.lastWatched),
+      `${this.formatDuration(entry.watchTime)} watched`,
+      `${Math.round(entry.completion * 100)}%`,
+      entry.gateway ? `via ${entry.gateway}` : null
+    ].filter(Boolean).join(' · ');
+
+    details.appendChild(title);
+    details.appendChild(stats);
+
+    const remove = document.createElement('button');
+    remove.className = 'history-remove';
+    remove.setAttribute('aria-label', 'Remove from history');
+    remove.textContent = '×';
+
+    item.appendChild(thumbnail);
+    item.appendChild(details);
+    item.appendChild(remove);
+    return item;
+  }
+
+  /**
+   * Get a display title, falling back to the file name, then the CID
+   * @param {Object} entry - History entry
+   * @returns {string} - Title
+   */
+  getTitle(entry) {
+    if (entry.title) return entry.title;
+    const [cid, ...path] = entry.cid.split('/');
+    return path.length > 0 ? path[path.length - 1] : `${cid.slice(0, 12)}…${cid.slice(-6)}`;
+  }
+
+  /**
+   * Format a duration as H:MM:SS or M:SS
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} - Formatted duration
+   */
+  formatDuration(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = (total % 60).toString().padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${mins.toString().padStart(2, '0')}:${secs}`
+      : `${mins}:${secs}`;
+  }
+
+  /**
+   * Format a timestamp relative to now
+   * @param {number} timestamp - Time in ms
+   * @returns {string} - e.g. "5 min ago"
+   */
+  formatRelative(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+
+    const days = Math.floor(hours / 24);
+    return days < 7 ? `${days} d ago` : new Date(timestamp).toLocaleDateString();
+  }
+
+  /**
+   * Clean up resources
+   */
+  dispose() {
+    this.elements.panel?.remove();
+    this.elements = {};
+  }
+}
+
+export default HistoryPanel;
@@ -1,17 +1,25 @@
 import eventEmitter from '../utils/EventEmitter.js';
 import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+import bandwidthEstimator from '../utils/BandwidthEstimator.js';
+import { ABR_STRATEGIES, createAbrStrategy } from '../utils/abrStrategies.js';
 
 /**
- * Manages video quality adaptation
+ * Manages video quality adaptation. The levels are the entries of
+ * VIDEO_SETTINGS.QUALITY.QUALITY_LEVELS the current video has a rendition for,
+ * or the variants of an HLS stream; without either there is nothing to
+ * choose between.
  */
 export class QualityController {
     constructor(videoElement) {
         this.video = videoElement;
         this.currentQuality = null;
-        this.availableQualities = VIDEO_SETTINGS.QUALITY.QUALITY_LEVELS;
+        this.availableQualities = [];
         this.adaptationEnabled = true;
+        this.monitorInterval = null;
+        this.strategyName = VIDEO_SETTINGS.QUALITY.ABR_STRATEGY;
+        this.strategy = createAbrStrategy(this.strategyName);
         this.metrics = {
-            bandwidth: 0,
+            bandwidth: bandwidthEstimator.getEstimate() || 0,
             bufferLevel: 0,
             frameDrops: 0,
             lastSwitch: 0
@@ -34,8 +42,13 @@ export class QualityController {
         // Listen for frame analysis results
         eventEmitter.on('frame:analyzed', this.handleFrameAnalysis.bind(this));
         
-        // Listen for buffer updates
-        eventEmitter.on('buffer:update', this.handleBufferUpdate.bind(this));
+        // Strategy changes apply to every player, so a transition keeps the choice
+        this.handleStrategyChange = ({ name }) => this.useStrategy(name);
+        eventEmitter.on('quality:strategy', this.handleStrategyChange);
+
+        // Bandwidth measured from media downloads
+        this.handleBandwidthEstimate = ({ bandwidth }) => this.updateBandwidth(bandwidth);
+        eventEmitter.on('bandwidth:estimate', this.handleBandwidthEstimate);
         
         // Monitor frame drops
         this.video.addEventListener('waiting', () => this.metrics.frameDrops++);
@@ -45,8 +58,8 @@ export class QualityController {
      * Start quality monitoring
      */
     startQualityMonitoring() {
-        setInterval(() => {
-            if (this.adaptationEnabled) {
+        this.monitorInterval = setInterval(() => {
+            if (this.adaptationEnabled && this.availableQualities.length > 1) {
                 this.evaluateQuality();
             }
         }, VIDEO_SETTINGS.QUALITY.AUTO_QUALITY_INTERVAL);
@@ -63,21 +76,24 @@ export class QualityController {
     }
 
     /**
-     * Handle buffer update
-     * @param {Object} data - Buffer state data
+     * Measure the seconds buffered ahead of the playhead on this element
+     * @returns {number} - Seconds
      */
-    handleBufferUpdate(data) {
-        this.metrics.bufferLevel = data.current;
+    getBufferLevel() {
+        const { buffered, currentTime } = this.video;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= currentTime && currentTime < buffered.end(i)) {
+                return buffered.end(i) - currentTime;
+            }
+        }
+        return 0;
     }
 
     /**
      * Evaluate and potentially switch quality
      */
     async evaluateQuality() {
-        // Don't switch too frequently
-        if (Date.now() - this.metrics.lastSwitch < VIDEO_SETTINGS.QUALITY.MIN_SWITCH_INTERVAL) {
-            return;
-        }
+        this.metrics.bufferLevel = this.getBufferLevel();
 
         const currentLevel = this.getCurrentQualityLevel();
         const recommendedLevel = this.getRecommendedQuality();
@@ -88,38 +104,33 @@ export class QualityController {
     }
 
     /**
-     * Get recommended quality level based on conditions
-     * @returns {Object} - Recommended quality level
+     * Get recommended quality level from the ABR strategy
+     * @returns {Object|null} - Recommended quality level, or null without enough to go on
      */
     getRecommendedQuality() {
-        // Get sorted quality levels
         const levels = [...this.availableQualities].sort((a, b) => a.bitrate - b.bitrate);
-        
-        // Calculate effective bandwidth (considering frame drops)
-        const effectiveBandwidth = this.metrics.bandwidth * 
-            (1 - Math.min(this.metrics.frameDrops / 100, 0.5));
-
-        // Find highest quality level that's below our effective bandwidth
-        let recommended = levels[0];  // Start with lowest quality
-        
-        for (const level of levels) {
-            if (level.bitrate <= effectiveBandwidth * 0.8) {  // Use 80% of bandwidth
-                recommended = level;
-            } else {
-                break;
-            }
-        }
+        return this.strategy.recommend(levels, this.currentQuality, this.metrics);
+    }
 
-        // Consider buffer level
-        if (this.metrics.bufferLevel < VIDEO_SETTINGS.QUALITY.BUFFER_THRESHOLD_LOW) {
-            // Switch down if buffer is low
-            const currentIndex = levels.indexOf(this.currentQuality);
-            if (currentIndex > 0) {
-                recommended = levels[currentIndex - 1];
-            }
+    /**
+     * Select the ABR strategy for every player
+     * @param {string} name - 'throughput', 'bola' or 'hybrid'
+     */
+    setStrategy(name) {
+        if (!ABR_STRATEGIES[name]) {
+            throw new Error(`Unknown ABR strategy: ${name}`);
         }
+        eventEmitter.emit('quality:strategy', { name });
+    }
 
-        return recommended;
+    /**
+     * Switch this controller to a strategy, starting from a clean state
+     * @param {string} name - Strategy name
+     */
+    useStrategy(name) {
+        this.strategyName = name;
+        this.strategy = createAbrStrategy(name);
+        this.strategy.recordSwitch(this.metrics.lastSwitch);
     }
 
     /**
@@ -139,9 +150,11 @@ export class QualityController {
             // Update quality
             this.currentQuality = level;
             this.metrics.lastSwitch = Date.now();
+            this.strategy.recordSwitch(this.metrics.lastSwitch);
 
             // Request source update with new quality
             eventEmitter.emit('quality:changed', {
+                video: this.video,
                 level,
                 currentTime
             });
@@ -163,6 +176,25 @@ export class QualityController {
         return this.currentQuality || this.availableQualities[0];
     }
 
+    /**
+     * Replace the levels with those of a newly loaded video. The previous
+     * video's height is kept when this one has it, otherwise playback starts
+     * at the highest level.
+     * @param {Object[]} levels - Quality levels with a rendition source or
+     *   stream variant, lowest first
+     * @returns {Object|null} - Level to start with
+     */
+    setLevels(levels) {
+        const previous = this.currentQuality;
+        this.availableQualities = levels;
+        this.currentQuality = levels.find(level => previous?.height && level.height === previous.height) ||
+            levels[levels.length - 1] ||
+            null;
+        this.metrics.frameDrops = 0;
+        this.strategy = createAbrStrategy(this.strategyName);
+        return this.currentQuality;
+    }
+
     /**
      * Enable/disable automatic quality adaptation
      * @param {boolean} enabled - Whether to enable adaptation
@@ -188,7 +220,7 @@ export class QualityController {
     }
 
     /**
-     * Update bandwidth estimate
+     * Update bandwidth estimate, fed by the shared BandwidthEstimator
      * @param {number} bandwidth - Bandwidth in bits per second
      */
     updateBandwidth(bandwidth) {
@@ -207,8 +239,10 @@ export class QualityController {
      * Dispose of resources
      */
     dispose() {
+        clearInterval(this.monitorInterval);
         eventEmitter.off('frame:analyzed', this.handleFrameAnalysis);
-        eventEmitter.off('buffer:update', this.handleBufferUpdate);
+        eventEmitter.off('quality:strategy', this.handleStrategyChange);
+        eventEmitter.off('bandwidth:estimate', this.handleBandwidthEstimate);
         this.video.removeEventListener('waiting', this.handleWaiting);
     }
 }
@@ -0,0 +1,114 @@
+import { TRANSITIONS } from '../config/config.js';
+
+/**
+ * Hands playback from one video element to another: the incoming element
+ * fades in over the outgoing one while the audio cross-fades, then the
+ * outgoing element is paused and hidden as the new standby.
+ */
+class TransitionController {
+  constructor() {
+    this.fade = null;
+  }
+
+  /**
+   * Whether a fade is running
+   * @returns {boolean} - Whether elements are mid-transition
+   */
+  isFading() {
+    return this.fade !== null;
+  }
+
+  /**
+   * Get the fade state, for blending per-frame effects across both elements
+   * @returns {Object|null} - { outgoing, incoming, progress } with progress from 0 to 1
+   */
+  getFade() {
+    return this.fade;
+  }
+
+  /**
+   * Cross-fade from the playing element to the standby one
+   * @param {HTMLVideoElement} outgoing - Element that is playing
+   * @param {HTMLVideoElement} incoming - Loaded standby element
+   * @param {number} duration - Fade length in seconds; 0 cuts straight over
+   * @returns {Promise<void>}
+   */
+  async crossfade(outgoing, incoming, duration = TRANSITIONS.CROSSFADE_DURATION) {
+    this.finish();
+
+    const volume = outgoing.volume;
+    // Animation frames stop in background tabs, so cut instead of fading there
+    const fadeTime = document.hidden ? 0 : duration * 1000;
+
+    incoming.muted = outgoing.muted;
+    incoming.volume = fadeTime > 0 ? 0 : volume;
+    incoming.style.opacity = fadeTime > 0 ? '0' : '1';
+    incoming.classList.add('incoming');
+    incoming.classList.remove('standby');
+
+    const fade = { outgoing, incoming, volume, progress: 0 };
+    this.fade = fade;
+
+    try {
+      await incoming.play();
+    } catch (error) {
+      // Autoplay was refused: cut over so the incoming item waits visibly for a click
+      this.complete(fade);
+      throw error;
+    }
+
+    if (fadeTime > 0) {
+      await new Promise(resolve => {
+        const start = performance.now();
+        const step = (now) => {
+          if (this.fade !== fade) {
+            resolve();
+            return;
+          }
+
+          fade.progress = Math.min((now - start) / fadeTime, 1);
+          incoming.style.opacity = String(fade.progress);
+          incoming.volume = volume * fade.progress;
+          outgoing.volume = volume * (1 - fade.progress);
+
+          if (fade.progress < 1) {
+            requestAnimationFrame(step);
+          } else {
+            resolve();
+          }
+        };
+        requestAnimationFrame(step);
+      });
+    }
+
+    if (this.fade === fade) {
+      this.complete(fade);
+    }
+  }
+
+  /**
+   * Jump to the end of a running fade
+   */
+  finish() {
+    if (this.fade) {
+      this.complete(this.fade);
+    }
+  }
+
+  /**
+   * Settle both elements in their final state
+   * @param {Object} fade - Fade state
+   */
+  complete({ outgoing, incoming, volume }) {
+    outgoing.pause();
+    outgoing.volume = volume;
+    outgoing.classList.add('standby');
+
+    incoming.volume = volume;
+    incoming.style.opacity = '';
+    incoming.classList.remove('incoming');
+    this.fade = null;
+  }
+}
+
+export default TransitionController;
@@ -32,8 +32,15 @@ class UIController {
       playButton: null,
       volumeSlider: null,
       fullscreenButton: null,
-      bufferBar: null
+      historyButton: null,
+      qualitySelect: null,
+      downloadButton: null,
+      offlineStatus: null,
+      bufferBar: null,
+      resumePrompt: null
     };
+    this.resumeTimeout = null;
+    this.loadingSource = null;
 
     this.initialize();
   }
@@ -95,6 +102,24 @@ class UIController {
     this.elements.fullscreenButton.className = 'fullscreen-button';
     this.elements.fullscreenButton.setAttribute('aria-label', 'Fullscreen');
 
+    // History button
+    this.elements.historyButton = document.createElement('button');
+    this.elements.historyButton.className = 'history-button';
+    this.elements.historyButton.setAttribute('aria-label', 'Watch history');
+
+    // Quality menu, shown when the video has renditions
+    this.elements.qualitySelect = document.createElement('select');
+    this.elements.qualitySelect.className = 'quality-select hidden';
+    this.elements.qualitySelect.setAttribute('aria-label', 'Quality');
+
+    // Offline download button and storage display
+    this.elements.downloadButton = document.createElement('button');
+    this.elements.downloadButton.className = 'download-button';
+    this.elements.downloadButton.setAttribute('aria-label', 'Download for offline');
+
+    this.elements.offlineStatus = document.createElement('div');
+    this.elements.offlineStatus.className = 'offline-status';
+
     // Append elements
     this.elements.progressContainer.appendChild(this.elements.progressBar);
     this.elements.progressContainer.appendChild(this.elements.timestampPopup);
@@ -103,6 +128,10 @@ class UIController {
     this.elements.controls.appendChild(this.elements.volumeSlider);
     this.elements.controls.appendChild(this.elements.progressContainer);
     this.elements.controls.appendChild(this.elements.timestamp);
+    this.elements.controls.appendChild(this.elements.qualitySelect);
+    this.elements.controls.appendChild(this.elements.offlineStatus);
+    this.elements.controls.appendChild(this.elements.downloadButton);
+    this.elements.controls.appendChild(this.elements.historyButton);
     this.elements.controls.appendChild(this.elements.fullscreenButton);
 
     this.wrapper.appendChild(this.elements.controls);
@@ -149,6 +178,19 @@ class UIController {
       debounce((e) => eventEmitter.emit('video:volume-change', parseFloat(e.target.value)), 100)
     );
 
+    this.elements.downloadButton.addEventListener('click', () => {
+      eventEmitter.emit('offline:toggle');
+    });
+
+    this.elements.historyButton.addEventListener('click', () => {
+      eventEmitter.emit('history:toggle');
+    });
+
+    this.elements.qualitySelect.addEventListener('change', (e) => {
+      const { value } = e.target;
+      eventEmitter.emit('quality:select', { index: value === 'auto' ? null : Number(value) });
+    });
+
     this.elements.fullscreenButton.addEventListener('click', () => {
       if (document.fullscreenElement) {
         document.exitFullscreen();
@@ -163,6 +205,14 @@ class UIController {
     eventEmitter.on('video:play', () => this.updatePlayButton(true));
     eventEmitter.on('video:pause', () => this.updatePlayButton(false));
 
+    // Offline downloads
+    eventEmitter.on('offline:status', this.updateOfflineStatus.bind(this));
+    eventEmitter.on('offline:progress', this.updateDownloadProgress.bind(this));
+
+    // Resume offers
+    eventEmitter.on('progress:resume-available', this.showResumePrompt.bind(this));
+    eventEmitter.on('video:loadstart', ({ controller }) => this.handleLoadStart(controller));
+
     // Add progress bar interactions
     this.elements.progressContainer.addEventListener('pointerdown', 
       this.handleProgressMouseDown.bind(this));
@@ -382,6 +432,150 @@ class UIController {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   }
 
+  /**
+   * Show whether the current video is stored offline and how much storage is used
+   * @param {Object} status - { saved, downloading, usage, quota }
+   */
+  updateOfflineStatus({ saved, downloading, usage, quota }) {
+    const button = this.elements.downloadButton;
+    if (!button) return;
+
+    button.classList.toggle('saved', saved);
+    button.classList.toggle('downloading', downloading);
+    button.setAttribute('aria-label',
+      downloading ? 'Cancel download' : saved ? 'Remove offline copy' : 'Download for offline'
+    );
+
+    if (!downloading) {
+      this.elements.offlineStatus.textContent = quota
+        ? `${this.formatBytes(usage)} / ${this.formatBytes(quota)}`
+        : '';
+    }
+  }
+
+  /**
+   * Rebuild the quality menu for the current video
+   * @param {Object} quality - { levels, current, auto }
+   */
+  updateQualityMenu({ levels, current, auto }) {
+    const select = this.elements.qualitySelect;
+    if (!select) return;
+
+    select.classList.toggle('hidden', levels.length < 2);
+    const options = [{ value: 'auto', label: auto && current ? `Auto (${this.formatQuality(current)})` : 'Auto' }]
+      .concat(levels.map((level, index) => ({ value: String(index), label: this.formatQuality(level) })))
+      .map(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        return option;
+      });
+
+    select.replaceChildren(...options);
+    select.value = auto || !current ? 'auto' : String(levels.indexOf(current));
+  }
+
+  /**
+   * Label a quality level by height, or by bitrate for streams that don't declare one
+   * @param {Object} level - { height, bitrate }
+   * @returns {string} - Label such as "720p" or "800 kbps"
+   */
+  formatQuality(level) {
+    return level.height ? `${level.height}p` : `${Math.round(level.bitrate / 1000)} kbps`;
+  }
+
+  /**
+   * Show download progress
+   * @param {Object} progress - { loaded, total }
+   */
+  updateDownloadProgress({ loaded, total }) {
+    if (this.elements.offlineStatus) {
+      this.elements.offlineStatus.textContent = total
+        ? `${Math.round((loaded / total) * 100)}%`
+        : this.formatBytes(loaded);
+    }
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Byte count
+   * @returns {string} - e.g. "1.2 GB"
+   */
+  formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+    return `${value.toFixed(unit > 1 ? 1 : 0)} ${units[unit]}`;
+  }
+
+  /**
+   * Offer to continue a video from where it was left
+   * @param {Object} data - { cid, time }
+   */
+  showResumePrompt({ time }) {
+    this.hideResumePrompt();
+
+    const prompt = document.createElement('div');
+    prompt.className = 'resume-prompt';
+
+    const resumeButton = document.createElement('button');
+    resumeButton.className = 'resume-button';
+    resumeButton.textContent = `Resume from ${this.formatTime(time)}`;
+    resumeButton.addEventListener('click', () => {
+      this.hideResumePrompt();
+      eventEmitter.emit('progress:resume', { time });
+    });
+
+    const restartButton = document.createElement('button');
+    restartButton.className = 'restart-button';
+    restartButton.textContent = 'Start over';
+    restartButton.addEventListener('click', () => this.dismissResumePrompt());
+
+    prompt.appendChild(resumeButton);
+    prompt.appendChild(restartButton);
+    this.wrapper.appendChild(prompt);
+    this.elements.resumePrompt = prompt;
+
+    this.resumeTimeout = setTimeout(() => this.dismissResumePrompt(), UI.RESUME_PROMPT_TIMEOUT);
+  }
+
+  /**
+   * Close the resume offer without resuming
+   */
+  dismissResumePrompt() {
+    if (this.elements.resumePrompt) {
+      this.hideResumePrompt();
+      eventEmitter.emit('progress:resume-dismissed');
+    }
+  }
+
+  /**
+   * Close the resume offer once another video starts loading. A reload of
+   * the same one, for a quality switch or a fallback, keeps it open.
+   * @param {Object} controller - Controller whose element started loading
+   */
+  handleLoadStart(controller) {
+    const cid = controller.getCurrentCid();
+    if (controller !== this.loadingSource?.controller || cid !== this.loadingSource.cid) {
+      this.dismissResumePrompt();
+    }
+    this.loadingSource = { controller, cid };
+  }
+
+  /**
+   * Remove the resume offer
+   */
+  hideResumePrompt() {
+    clearTimeout(this.resumeTimeout);
+    this.resumeTimeout = null;
+    this.elements.resumePrompt?.remove();
+    this.elements.resumePrompt = null;
+  }
+
   /**
    * Update play button state
    * @param {boolean} playing - Whether video is playing
@@ -419,6 +613,7 @@ class UIController {
    * Clean up resources
    */
   dispose() {
+    clearTimeout(this.resumeTimeout);
     this.wrapper.innerHTML = '';
     this.elements = {};
   }
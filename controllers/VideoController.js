@@ -2,6 +2,7 @@ import eventEmitter from '../utils/EventEmitter.js';
 import { ErrorHandler, ProviderError } from '../utils/ErrorHandler.js';
 import videoSourceManager from '../videoSources.js';
 import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+import gatewayHealth from '../utils/GatewayHealth.js';
 
 export class VideoController {
   constructor(videoElement, providers = []) {
@@ -13,7 +14,6 @@ export class VideoController {
     this.qualityController = createQualityController(videoElement);
     
     // Provider state tracking
-    this.providerScores = new Map();
     this.providerIndices = new Map();
     this.currentProvider = 0;
     this.currentCid = null;
@@ -30,7 +30,7 @@ export class VideoController {
    */
   initialize() {
     this.setupEventListeners();
-    this.initializeProviderScores();
+    this.initializeProviderRetries();
   }
 
   /**
@@ -46,11 +46,10 @@ export class VideoController {
   }
 
   /**
-   * Initialize provider scoring
+   * Initialize provider retry counts
    */
-  initializeProviderScores() {
+  initializeProviderRetries() {
     this.providers.forEach(provider => {
-      this.providerScores.set(provider.name, 1.0);
       this.providerRetries.set(provider.name, 0);
     });
   }
@@ -77,8 +76,8 @@ export class VideoController {
       // Reset provider retries on successful load
       this.providerRetries.set(provider.name, 0);
       
-      // Increase provider score on success
-      this.updateProviderScore(provider.name, true);
+      // Record the successful load in the shared gateway health store
+      this.updateProviderScore(provider, true);
       
       eventEmitter.emit('video:loaded', { cid, provider: provider.name });
       
@@ -104,8 +103,9 @@ export class VideoController {
    * @returns {Object} - Selected provider
    */
   async selectBestProvider(cid) {
-    const availableProviders = this.providers.filter(provider => 
-      this.providerScores.get(provider.name) >= 0.5
+    const score = provider => gatewayHealth.getScore(provider.id || provider.name);
+    const availableProviders = this.providers.filter(provider =>
+      score(provider) >= VIDEO_SETTINGS.MIN_PROVIDER_SCORE
     );
 
     if (availableProviders.length === 0) {
@@ -113,9 +113,8 @@ export class VideoController {
     }
 
     // Sort by score with randomness factor
-    availableProviders.sort((a, b) => 
-      (this.providerScores.get(b.name) * Math.random()) - 
-      (this.providerScores.get(a.name) * Math.random())
+    availableProviders.sort((a, b) =>
+      (score(b) * Math.random()) - (score(a) * Math.random())
     );
 
     return availableProviders[0];
@@ -130,8 +129,8 @@ export class VideoController {
     try {
       const currentProvider = this.providers[this.currentProvider];
       
-      // Update score for failed provider
-      this.updateProviderScore(currentProvider.name, false);
+      // Record the failure for the current provider
+      this.updateProviderScore(currentProvider, false);
       
       // Increment retry count
       const retries = this.providerRetries.get(currentProvider.name) || 0;
@@ -163,23 +162,14 @@ export class VideoController {
   }
 
   /**
-   * Update provider reliability score
-   * @param {string} providerName - Provider name
+   * Record a playback outcome in the gateway health store
+   * @param {Object} provider - Provider object
    * @param {boolean} success - Whether operation was successful
    */
-  updateProviderScore(providerName, success) {
-    const currentScore = this.providerScores.get(providerName) || 1.0;
-    let newScore;
-
-    if (success) {
-      // Increase score on success, max 1.0
-      newScore = Math.min(1.0, currentScore + (1 - currentScore) * 0.1);
-    } else {
-      // Decrease score on failure
-      newScore = currentScore * VIDEO_SETTINGS.PROVIDER_SCORE_DECAY;
-    }
-
-    this.providerScores.set(providerName, newScore);
+  updateProviderScore(provider, success) {
+    gatewayHealth.record(provider.id || provider.name, {
+      error: success ? null : 'playback'
+    });
   }
 
   /**
@@ -187,7 +177,7 @@ export class VideoController {
    */
   initialize() {
     this.setupEventListeners();
-    this.initializeProviderScores();
+    this.initializeProviderRetries();
 
     // Listen for buffer events
     eventEmitter.on('buffer:low', this.handleLowBuffer.bind(this));
@@ -316,9 +306,6 @@ export class VideoController {
    */
   handleFrameAnalysis(data) {
     const { analysis, quality } = data;
-    
-    // Update quality controller with analysis results
-    this.qualityController.updateBandwidth(this.calculateEffectiveBandwidth(analysis));
 
     // Emit frame analysis results
     eventEmitter.emit('video:frame-analyzed', {
@@ -328,23 +315,6 @@ export class VideoController {
     });
   }
 
-  /**
-   * Calculate effective bandwidth based on frame analysis
-   * @param {Object} analysis - Frame analysis data
-   * @returns {number} - Effective bandwidth in bits per second
-   */
-  calculateEffectiveBandwidth(analysis) {
-    const { metrics } = analysis;
-    const baseBandwidth = this.video.webkitVideoDecodedByteCount * 8 / this.video.currentTime;
-    
-    // Adjust bandwidth based on frame analysis metrics
-    const complexityFactor = 1 - (metrics.complexity * 0.5);  // Reduce bandwidth for complex scenes
-    const motionFactor = 1 - (metrics.motion * 0.3);         // Reduce bandwidth for high motion
-    const processingFactor = Math.min(60 / metrics.processingTime, 1);  // Consider processing performance
-
-    return baseBandwidth * complexityFactor * motionFactor * processingFactor;
-  }
-
   /**
    * Dispose of resources
    */
@@ -356,7 +326,6 @@ export class VideoController {
     eventEmitter.off('buffer:low', this.handleLowBuffer);
     eventEmitter.off('chunk:error', this.handleChunkError);
     this.providers = [];
-    this.providerScores.clear();
     this.providerRetries.clear();
     this.currentCid = null;
   }
@@ -1,8 +1,13 @@
 import { VideoController } from '../videoController.js';
-import { VIDEO, PROVIDERS } from '../config/config.js';
+import { VIDEO, VERIFICATION, SERVICE_WORKER } from '../config/config.js';
 import eventEmitter from '../utils/EventEmitter.js';
 import errorHandler from '../utils/ErrorHandler.js';
-import { VideoError, ProviderError, BufferError } from '../utils/ErrorHandler.js';
+import { VideoError, ProviderError, BufferError, VerificationError } from '../utils/ErrorHandler.js';
+import { fetchVerified } from '../utils/verifiedFetch.js';
+import gatewayHealth from '../utils/GatewayHealth.js';
+import gatewayRegistry from '../utils/GatewayRegistry.js';
+import { getAvailableGateways } from '../utils/gatewayRace.js';
+import localNode from '../utils/LocalNode.js';
 
 /**
  * Factory class for creating and managing video controllers
@@ -10,7 +15,7 @@ import { VideoError, ProviderError, BufferError } from '../utils/ErrorHandler.js
 class VideoControllerFactory {
   constructor() {
     this.activeControllers = new Map();
-    this.providerCache = new Map();
+    this.trustless = VERIFICATION.ENABLED;
     this.initialize();
   }
 
@@ -19,7 +24,8 @@ class VideoControllerFactory {
    */
   initialize() {
     this.setupEventListeners();
-    this.loadProviderCache();
+    this.loadTrustlessMode();
+    localNode.start();
   }
 
   /**
@@ -64,6 +70,25 @@ class VideoControllerFactory {
     eventEmitter.on('provider:disabled', (provider) => {
       this.disableProvider(provider);
     });
+
+    eventEmitter.on('gateways:changed', () => {
+      this.refreshProviders();
+    });
+
+    // A local node appearing or going away changes which provider goes first
+    eventEmitter.on('local-node:status', () => {
+      this.refreshProviders();
+    });
+  }
+
+  /**
+   * Hand the current provider list to every active controller
+   */
+  refreshProviders() {
+    const providers = this.getProviders();
+    this.activeControllers.forEach(controller => {
+      controller.providers = providers;
+    });
   }
 
   /**
@@ -71,13 +96,18 @@ class VideoControllerFactory {
    * @param {VideoController} controller - The controller to set up
    */
   setupControllerEvents(controller) {
+    // A transition standby loads in the background; its state isn't the player's
+    const isStandby = () => controller.video.classList.contains('standby');
+
     // Video state events
     controller.video.addEventListener('loadstart', () => {
-      eventEmitter.emit('video:loadstart', { controller });
+      if (!isStandby()) {
+        eventEmitter.emit('video:loadstart', { controller });
+      }
     });
 
     controller.video.addEventListener('waiting', () => {
-      if (!controller.isSeeking) {
+      if (!controller.isSeeking && !isStandby()) {
         eventEmitter.emit('video:buffering', { controller });
       }
     });
@@ -89,7 +119,7 @@ class VideoControllerFactory {
     // Buffer events
     controller.video.addEventListener('progress', () => {
       const buffered = controller.video.buffered;
-      if (buffered.length > 0) {
+      if (buffered.length > 0 && !isStandby()) {
         const bufferedEnd = buffered.end(buffered.length - 1);
         eventEmitter.emit('video:buffer-update', {
           controller,
@@ -101,21 +131,17 @@ class VideoControllerFactory {
   }
 
   /**
-   * Get sorted list of providers
+   * Get list of providers, ordered like the gateways used for lookups
    * @returns {Array} - List of provider objects
    */
   getProviders() {
-    return PROVIDERS.list
-      .filter(name => !this.isProviderDisabled(name))
-      .map(name => ({
-        name: PROVIDERS.displayNames[name],
-        fetch: (cid, start, end) => this.fetchWithProvider(name, cid, start, end)
-      }))
-      .sort((a, b) => {
-        const statsA = this.providerCache.get(a.name) || { score: 0 };
-        const statsB = this.providerCache.get(b.name) || { score: 0 };
-        return statsB.score - statsA.score;
-      });
+    return getAvailableGateways().map(gateway => ({
+      id: gateway.id,
+      name: gateway.name,
+      kind: gateway.kind,
+      getUrl: (cid) => this.buildProviderUrl(gateway.id, cid),
+      fetch: (cid, start, end, options) => this.fetchWithProvider(gateway.id, cid, start, end, options)
+    }));
   }
 
   /**
@@ -124,66 +150,135 @@ class VideoControllerFactory {
    * @param {string} cid - Content ID
    * @param {number} start - Start byte
    * @param {number} end - End byte
+   * @param {Object} options - Request options ({ signal })
    * @returns {Promise<Response>} - Fetch response
    */
-  async fetchWithProvider(provider, cid, start, end) {
+  async fetchWithProvider(provider, cid, start, end, options = {}) {
+    const { signal } = options;
+    const startedAt = performance.now();
     try {
       const url = this.buildProviderUrl(provider, cid);
-      const response = await fetch(url, {
-        headers: { Range: `bytes=${start}-${end}` }
-      });
+      const authHeaders = gatewayRegistry.getGateway(provider)?.headers || {};
+
+      if (this.trustless) {
+        let ttfb = null;
+        const response = await fetchVerified(url, cid, {
+          start, end, provider, signal, headers: authHeaders,
+          onHeaders: () => { ttfb = performance.now() - startedAt; }
+        });
+        const duration = performance.now() - startedAt;
+        gatewayHealth.record(provider, {
+          ttfb,
+          bytes: Number(response.headers.get('content-length')),
+          duration
+        });
+        return response;
+      }
 
+      const headers = start !== undefined
+        ? { ...authHeaders, Range: `bytes=${start}-${end ?? ''}` }
+        : { ...authHeaders };
+      const response = await fetch(url, { headers, signal });
+
+      // The service worker names the gateway that actually answered; a cache hit measures none
+      const servedBy = response.headers.get(SERVICE_WORKER.SERVED_BY_HEADER);
       if (!response.ok) {
-        throw new ProviderError(`HTTP ${response.status}`, provider);
+        throw new ProviderError(`HTTP ${response.status}`, servedBy || provider);
+      }
+      if (servedBy === SERVICE_WORKER.CACHE_SOURCE) {
+        return response;
       }
 
-      this.updateProviderScore(provider, true);
-      return response;
+      return this.meterResponse(servedBy || provider, response, startedAt);
     } catch (error) {
-      this.updateProviderScore(provider, false);
+      if (error instanceof VerificationError) {
+        // A gateway serving bytes that don't match the CID is never retried
+        gatewayHealth.record(provider, { error });
+        this.disableProvider(provider);
+        eventEmitter.emit('provider:untrusted', { provider, cid, error });
+      } else if (error.name !== 'AbortError') {
+        gatewayHealth.record(error instanceof ProviderError ? error.provider : provider, {
+          ttfb: performance.now() - startedAt,
+          error
+        });
+      }
       throw error;
     }
   }
 
   /**
-   * Build URL for a provider
+   * Wrap a response so its throughput is recorded once the body is read
    * @param {string} provider - Provider name
-   * @param {string} cid - Content ID
-   * @returns {string} - Provider URL
+   * @param {Response} response - Gateway response
+   * @param {number} startedAt - Request start (performance.now())
+   * @returns {Response} - Response with a metered body
    */
-  buildProviderUrl(provider, cid) {
-    // Handle special cases first
-    if (provider === 'ipfs.io') return `https://ipfs.io/ipfs/${cid}`;
-    if (provider === 'algonode.xyz') return `https://ipfs.algonode.xyz/ipfs/${cid}`;
-    
-    // Handle subdomain-style gateways
-    return ["dweb.link", "flk-ipfs.xyz"].includes(provider)
-        ? `https://${cid}.ipfs.${provider}`
-        : `https://ipfs.${provider}/ipfs/${cid}`;
+  meterResponse(provider, response, startedAt) {
+    const ttfb = performance.now() - startedAt;
+
+    if (!response.body) {
+      gatewayHealth.record(provider, { ttfb });
+      return response;
+    }
+
+    let bytes = 0;
+    const meter = new TransformStream({
+      transform(chunk, controller) {
+        bytes += chunk.byteLength;
+        controller.enqueue(chunk);
+      },
+      flush() {
+        gatewayHealth.record(provider, {
+          ttfb,
+          bytes,
+          duration: performance.now() - startedAt
+        });
+      }
+    });
+
+    return new Response(response.body.pipeThrough(meter), {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
   }
 
   /**
-   * Update provider performance score
-   * @param {string} provider - Provider name
-   * @param {boolean} success - Whether the request was successful
+   * Enable or disable trustless (verified) fetching
+   * @param {boolean} enabled - Whether to verify gateway responses
    */
-  updateProviderScore(provider, success) {
-    const stats = this.providerCache.get(provider) || {
-      score: 0.5,
-      successes: 0,
-      failures: 0
-    };
-
-    if (success) {
-      stats.successes++;
-      stats.score = (stats.score * 0.8) + 0.2;
-    } else {
-      stats.failures++;
-      stats.score = stats.score * 0.8;
+  setTrustlessMode(enabled) {
+    this.trustless = enabled;
+    try {
+      localStorage.setItem(VERIFICATION.STORAGE_KEY, JSON.stringify(enabled));
+    } catch (error) {
+      console.warn('Failed to save trustless mode:', error);
     }
+    eventEmitter.emit('provider:trustless', { enabled });
+  }
 
-    this.providerCache.set(provider, stats);
-    this.saveProviderCache();
+  /**
+   * Load trustless mode preference from storage
+   */
+  loadTrustlessMode() {
+    try {
+      const stored = localStorage.getItem(VERIFICATION.STORAGE_KEY);
+      if (stored !== null) {
+        this.trustless = JSON.parse(stored) === true;
+      }
+    } catch (error) {
+      console.warn('Failed to load trustless mode:', error);
+    }
+  }
+
+  /**
+   * Build URL for a provider from its URL template
+   * @param {string} provider - Provider name
+   * @param {string} cid - Content ID, optionally followed by a path
+   * @returns {string} - Provider URL
+   */
+  buildProviderUrl(provider, cid) {
+    return gatewayRegistry.buildUrl(provider, cid);
   }
 
   /**
@@ -221,13 +316,12 @@ class VideoControllerFactory {
   }
 
   /**
-   * Check if a provider is disabled
+   * Check if a provider is disabled; disabling lapses after GATEWAY_HEALTH.DISABLE_DURATION
    * @param {string} provider - Provider name
    * @returns {boolean} - Whether the provider is disabled
    */
   isProviderDisabled(provider) {
-    const stats = this.providerCache.get(provider);
-    return stats?.score < 0.1;
+    return gatewayHealth.isDisabled(provider);
   }
 
   /**
@@ -235,37 +329,7 @@ class VideoControllerFactory {
    * @param {string} provider - Provider to disable
    */
   disableProvider(provider) {
-    const stats = this.providerCache.get(provider) || {};
-    stats.score = 0;
-    this.providerCache.set(provider, stats);
-    this.saveProviderCache();
-  }
-
-  /**
-   * Load provider cache from storage
-   */
-  loadProviderCache() {
-    try {
-      const cached = localStorage.getItem('providerCache');
-      if (cached) {
-        this.providerCache = new Map(JSON.parse(cached));
-      }
-    } catch (error) {
-      console.warn('Failed to load provider cache:', error);
-    }
-  }
-
-  /**
-   * Save provider cache to storage
-   */
-  saveProviderCache() {
-    try {
-      localStorage.setItem('providerCache',
-        JSON.stringify(Array.from(this.providerCache.entries()))
-      );
-    } catch (error) {
-      console.warn('Failed to save provider cache:', error);
-    }
+    gatewayHealth.disable(provider);
   }
 
   /**
@@ -276,7 +340,7 @@ class VideoControllerFactory {
       controller.dispose();
     });
     this.activeControllers.clear();
-    this.saveProviderCache();
+    gatewayHealth.save();
   }
 }
 
@@ -0,0 +1,773 @@
+import eventEmitter from './utils/EventEmitter.js';
+import { shuffleArray } from './utils/helpers.js';
+import { parseCid, parseContentPath } from './utils/cid.js';
+import nameResolver from './utils/NameResolver.js';
+import gatewayRegistry from './utils/GatewayRegistry.js';
+import localNode from './utils/LocalNode.js';
+import {
+    detectFormat,
+    fromDagPlaylist,
+    parsePlaylist,
+    serializePlaylist,
+    toDagPlaylist
+} from './utils/playlistFormats.js';
+import videoSourceManager from './videoSources.js';
+import { PLAYLIST } from './config/config.js';
+
+export const REPEAT_MODES = ['off', 'one', 'all'];
+
+/**
+ * Manages named playlists and the play queue.
+ * The queue is kept in play order; while shuffled, the unshuffled order is
+ * kept alongside it so turning shuffle off restores it around the current item.
+ */
+class PlaylistManager {
+    constructor() {
+        this.playlists = new Map();
+        this.queue = this.createQueue();
+        this.nextId = 1;
+        this.load();
+    }
+
+    /**
+     * Create an empty queue state
+     * @returns {Object} - Queue state
+     */
+    createQueue() {
+        return {
+            items: [],
+            originalItems: null,
+            position: -1,
+            shuffle: false,
+            repeat: 'off',
+            playlist: null
+        };
+    }
+
+    /**
+     * Wrap a source in a queue item with a unique ID
+     * @param {string} source - Source reference (CID, path or name)
+     * @returns {Object} - { id, source }
+     */
+    createItem(source) {
+        return { id: this.nextId++, source };
+    }
+
+    // Named playlists
+
+    /**
+     * Normalise a playlist entry
+     * @param {string|Object} entry - Source reference or { source, title, duration }
+     * @returns {Object} - { source, title, duration }
+     */
+    normalizeEntry(entry) {
+        const { source, title = null, duration = null } = typeof entry === 'string' ? { source: entry } : entry;
+        if (typeof source !== 'string' || !source) {
+            throw new Error('Playlist entry needs a source');
+        }
+        return {
+            source,
+            title: title || null,
+            duration: Number.isFinite(duration) ? duration : null
+        };
+    }
+
+    /**
+     * Get all playlists
+     * @returns {Object[]} - [{ name, entries, updatedAt }]
+     */
+    getPlaylists() {
+        return Array.from(this.playlists.values());
+    }
+
+    /**
+     * Get a playlist by name
+     * @param {string} name - Playlist name
+     * @returns {Object|null} - Playlist
+     */
+    getPlaylist(name) {
+        return this.playlists.get(name) || null;
+    }
+
+    /**
+     * Create or replace a playlist
+     * @param {string} name - Playlist name
+     * @param {Array<string|Object>} entries - Sources or { source, title, duration } in order
+     * @returns {Object} - Playlist
+     */
+    savePlaylist(name, entries = []) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Playlist name is required');
+        }
+
+        const playlist = {
+            name: name.trim(),
+            entries: entries.map(entry => this.normalizeEntry(entry)),
+            updatedAt: Date.now()
+        };
+        this.playlists.set(playlist.name, playlist);
+        this.commit('playlist:changed', playlist);
+        return playlist;
+    }
+
+    /**
+     * Delete a playlist
+     * @param {string} name - Playlist name
+     */
+    deletePlaylist(name) {
+        if (this.playlists.delete(name)) {
+            if (this.queue.playlist === name) {
+                this.queue.playlist = null;
+            }
+            this.commit('playlist:changed', { name, deleted: true });
+        }
+    }
+
+    /**
+     * Rename a playlist
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     */
+    renamePlaylist(name, newName) {
+        const playlist = this.requirePlaylist(name);
+        if (this.playlists.has(newName)) {
+            throw new Error(`Playlist ${newName} already exists`);
+        }
+
+        this.playlists.delete(name);
+        this.savePlaylist(newName, playlist.entries);
+        if (this.queue.playlist === name) {
+            this.queue.playlist = newName;
+            this.save();
+        }
+    }
+
+    /**
+     * Add entries to the end of a playlist, creating it if needed
+     * @param {string} name - Playlist name
+     * @param {...(string|Object)} entries - Entries to add
+     */
+    addToPlaylist(name, ...entries) {
+        const playlist = this.getPlaylist(name);
+        this.savePlaylist(name, [...(playlist?.entries || []), ...entries]);
+    }
+
+    /**
+     * Remove an entry from a playlist
+     * @param {string} name - Playlist name
+     * @param {number} index - Entry index
+     */
+    removeFromPlaylist(name, index) {
+        const playlist = this.requirePlaylist(name);
+        this.savePlaylist(name, playlist.entries.filter((_, i) => i !== index));
+    }
+
+    /**
+     * Get a playlist or throw
+     * @param {string} name - Playlist name
+     * @returns {Object} - Playlist
+     */
+    requirePlaylist(name) {
+        const playlist = this.getPlaylist(name);
+        if (!playlist) {
+            throw new Error(`Unknown playlist: ${name}`);
+        }
+        return playlist;
+    }
+
+    /**
+     * Replace the queue with a playlist
+     * @param {string} name - Playlist name
+     * @param {number} startIndex - Entry to start at
+     * @returns {string|null} - Source to play
+     */
+    playPlaylist(name, startIndex = 0) {
+        const playlist = this.requirePlaylist(name);
+        return this.setQueue(playlist.entries.map(entry => entry.source), { startIndex, playlist: name });
+    }
+
+    // Import and export
+
+    /**
+     * Normalise a playlist URI to a source reference
+     * @param {string} uri - CID, ipfs:// or ipns:// URI, gateway URL, /ipns/ path or DNSLink domain
+     * @returns {string|null} - Content path or /ipns/ path, null if not IPFS content
+     */
+    normalizeSource(uri) {
+        const content = parseContentPath(uri);
+        if (content) {
+            return content.contentPath;
+        }
+
+        let name = nameResolver.parse(uri);
+        if (!name && /^https?:\/\//i.test(uri)) {
+            try {
+                name = nameResolver.parse(decodeURIComponent(new URL(uri).pathname));
+            } catch (error) {
+                name = null;
+            }
+        }
+        return name ? `/ipns/${name.name}${name.path ? `/${name.path}` : ''}` : null;
+    }
+
+    /**
+     * Build the URI for a source in an exported playlist
+     * @param {string} source - Source reference
+     * @param {string} [gateway] - Gateway ID for http URLs, otherwise ipfs:// and ipns:// URIs
+     * @returns {string} - URI
+     */
+    toUri(source, gateway) {
+        const content = parseContentPath(source);
+        const name = content ? null : nameResolver.parse(source);
+        const encode = path => path.split('/').map(encodeURIComponent).join('/');
+
+        if (content) {
+            return gateway
+                ? gatewayRegistry.buildUrl(gateway, content.contentPath)
+                : `ipfs://${content.cid}${content.path ? `/${encode(content.path)}` : ''}`;
+        }
+        if (name) {
+            const namePath = name.path ? `${name.name}/${name.path}` : name.name;
+            const url = gateway && gatewayRegistry.buildNameUrl(gateway, namePath);
+            return url || `ipns://${name.name}${name.path ? `/${encode(name.path)}` : ''}`;
+        }
+        return source;
+    }
+
+    /**
+     * Import a playlist file. Each entry is normalised to a CID (or name) and
+     * validated; entries that fail are reported instead of imported.
+     * @param {string} text - File contents
+     * @param {Object} options - { name, format, filename }
+     * @returns {Promise<Object>} - { playlist, rejected: [{ uri, reason }] }
+     */
+    async importPlaylist(text, { name, format, filename = '' } = {}) {
+        const detected = format || detectFormat(text, filename);
+        if (!detected) {
+            throw new Error('Unrecognised playlist format');
+        }
+
+        const parsed = parsePlaylist(text, detected);
+        const results = new Array(parsed.entries.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < parsed.entries.length) {
+                const index = next++;
+                results[index] = await this.validateEntry(parsed.entries[index]);
+            }
+        };
+        await Promise.all(
+            Array.from({ length: Math.min(PLAYLIST.IMPORT_CONCURRENCY, parsed.entries.length) }, worker)
+        );
+
+        const playlistName = name || parsed.name || filename.replace(/\.[^.]+$/, '') || 'Imported playlist';
+        const playlist = this.savePlaylist(
+            playlistName,
+            results.filter(result => result.entry).map(result => result.entry)
+        );
+        const rejected = results.filter(result => result.rejected).map(result => result.rejected);
+
+        eventEmitter.emit('playlist:imported', { name: playlist.name, imported: playlist.entries.length, rejected });
+        return { playlist, rejected };
+    }
+
+    /**
+     * Normalise and validate one imported entry
+     * @param {Object} entry - { uri, title, duration }
+     * @returns {Promise<Object>} - { entry } or { rejected: { uri, reason } }
+     */
+    async validateEntry({ uri, title, duration }) {
+        const source = typeof uri === 'string' ? this.normalizeSource(uri) : null;
+        if (!source) {
+            return { rejected: { uri, reason: 'Not an IPFS CID, path or name' } };
+        }
+
+        try {
+            const cid = await videoSourceManager.resolveSource(source);
+            if (!(await videoSourceManager.validateCid(cid))) {
+                return { rejected: { uri, reason: 'Not playable video content' } };
+            }
+        } catch (error) {
+            return { rejected: { uri, reason: error.message } };
+        }
+
+        return { entry: { source, title, duration } };
+    }
+
+    /**
+     * Export a playlist, or the queue when no name is given
+     * @param {string|null} name - Playlist name
+     * @param {string} format - 'm3u', 'xspf' or 'json'
+     * @param {Object} options - { gateway } to write gateway URLs instead of ipfs:// URIs
+     * @returns {string} - File contents
+     */
+    exportPlaylist(name, format, { gateway } = {}) {
+        const playlist = name
+            ? this.requirePlaylist(name)
+            : { name: this.queue.playlist, entries: this.queue.items.map(item => this.normalizeEntry(item.source)) };
+
+        return serializePlaylist({
+            name: playlist.name,
+            entries: playlist.entries.map(entry => ({
+                uri: this.toUri(entry.source, gateway),
+                title: entry.title,
+                duration: entry.duration
+            }))
+        }, format);
+    }
+
+    // IPLD playlists
+
+    /**
+     * Check whether a CID points at a playlist document rather than a video
+     * @param {string} cid - Content ID
+     * @returns {boolean} - Whether the CID uses a dag-cbor or dag-json codec
+     */
+    isPlaylistCid(cid) {
+        try {
+            return ['dag-cbor', 'dag-json'].includes(parseCid(cid).codecName);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Publish a playlist as an IPLD document through the local node
+     * @param {string} name - Playlist name
+     * @param {Object} options - { codec } 'dag-cbor' or 'dag-json'
+     * @returns {Promise<string>} - Root CID of the playlist
+     */
+    async publishPlaylist(name, { codec = PLAYLIST.DAG_CODEC } = {}) {
+        const playlist = this.requirePlaylist(name);
+        if (!localNode.getReachableGateway()?.apiUrl) {
+            throw new Error('Publishing a playlist needs a reachable local node');
+        }
+
+        const body = new FormData();
+        body.append('file', new Blob([JSON.stringify(toDagPlaylist(playlist))], { type: 'application/json' }));
+
+        // The node re-encodes the dag-json input with the requested codec and pins it
+        const response = await localNode.rpc('dag/put', {
+            'store-codec': codec,
+            'input-codec': 'dag-json',
+            pin: true
+        }, undefined, { body });
+        const cid = (await response.json())?.Cid?.['/'];
+        if (!cid) {
+            throw new Error('Local node did not return a CID');
+        }
+
+        this.playlists.set(playlist.name, { ...playlist, cid });
+        this.commit('playlist:published', { name: playlist.name, cid });
+        return cid;
+    }
+
+    /**
+     * Load a playlist document by CID, save it and queue it
+     * @param {string} cid - Root CID of the playlist
+     * @param {Object} [node] - The document, when it was already fetched
+     * @param {string} [origin] - IPNS name or DNSLink domain the document was reached through
+     * @returns {Promise<string|null>} - First source to play
+     */
+    async loadPlaylistCid(cid, node = null, origin = null) {
+        const playlist = await this.storePlaylistCid(cid, node, origin);
+        return this.playPlaylist(playlist.name);
+    }
+
+    /**
+     * Reload a playlist document after its name moved to a new CID. A queue
+     * playing the playlist takes the new entries without interrupting the
+     * current item, which stays first when the update dropped it.
+     * @param {string} cid - New root CID of the playlist
+     * @param {string} origin - IPNS name or DNSLink domain the document is published under
+     * @returns {Promise<boolean>} - Whether the queue changed
+     */
+    async refreshPlaylistCid(cid, origin) {
+        const playlist = await this.storePlaylistCid(cid, null, origin);
+        if (this.queue.playlist !== playlist.name) {
+            return false;
+        }
+
+        const current = this.getCurrent();
+        const sources = playlist.entries.map(entry => entry.source);
+        const index = current === null ? 0 : sources.indexOf(current);
+        if (index === -1) {
+            sources.unshift(current);
+        }
+        this.setQueue(sources, { startIndex: Math.max(index, 0), playlist: playlist.name });
+        return true;
+    }
+
+    /**
+     * Save a playlist document under the name getLoadedPlaylistName() picks
+     * @param {string} cid - Root CID of the playlist
+     * @param {Object|null} node - The document, when it was already fetched
+     * @param {string|null} origin - Name the document was reached through
+     * @returns {Promise<Object>} - Playlist
+     */
+    async storePlaylistCid(cid, node, origin) {
+        node = node || await videoSourceManager.fetchDag(cid, { timeout: PLAYLIST.LOAD_TIMEOUT });
+        const { name, entries } = fromDagPlaylist(node);
+
+        const playlist = this.savePlaylist(this.getLoadedPlaylistName(name, cid, origin), entries);
+        const stored = origin ? { ...playlist, cid, origin } : { ...playlist, cid };
+        this.playlists.set(playlist.name, stored);
+        this.save();
+        return stored;
+    }
+
+    /**
+     * Get the name the queued playlist follows, if it was loaded through one
+     * @returns {string|null} - IPNS name or DNSLink domain
+     */
+    getQueueOrigin() {
+        return this.queue.playlist ? this.getPlaylist(this.queue.playlist)?.origin || null : null;
+    }
+
+    /**
+     * Pick the name a loaded playlist document is stored under. Reloading a
+     * document, or a new version published under the same name, reuses its
+     * entry; otherwise the document's name is used unless another playlist
+     * holds it, in which case the CID is appended, so loading never replaces
+     * a local playlist.
+     * @param {string} name - Name in the document
+     * @param {string} cid - Root CID of the document
+     * @param {string} [origin] - IPNS name or DNSLink domain it was reached through
+     * @returns {string} - Playlist name
+     */
+    getLoadedPlaylistName(name, cid, origin = null) {
+        const loaded = this.getPlaylists().find(playlist =>
+            playlist.cid === cid || (origin && playlist.origin === origin)
+        );
+        if (loaded) {
+            return loaded.name;
+        }
+
+        const base = name || cid;
+        const candidates = [base, `${base} (${cid.slice(0, 8)}…${cid.slice(-4)})`, `${base} (${cid})`];
+        const free = candidates.find(candidate => !this.playlists.has(candidate));
+        if (!free) {
+            throw new Error(`No free name to store playlist ${cid} under`);
+        }
+        return free;
+    }
+
+    // Play queue
+
+    /**
+     * Replace the queue, keeping the shuffle and repeat modes
+     * @param {string[]} sources - Sources in order
+     * @param {Object} options - { startIndex, playlist }
+     * @returns {string|null} - Source to play
+     */
+    setQueue(sources, { startIndex = 0, playlist = null } = {}) {
+        const items = sources.map(source => this.createItem(source));
+        const start = items[startIndex] || items[0] || null;
+
+        this.queue.items = items;
+        this.queue.originalItems = null;
+        this.queue.position = start ? items.indexOf(start) : -1;
+        this.queue.playlist = playlist;
+
+        if (start && this.queue.shuffle) {
+            this.queue.originalItems = [...items];
+            this.reshuffle(start);
+        }
+
+        this.commit('queue:changed', this.getQueue());
+        return this.getCurrent();
+    }
+
+    /**
+     * Get a snapshot of the queue
+     * @returns {Object} - { items, position, shuffle, repeat, playlist }
+     */
+    getQueue() {
+        return {
+            items: this.queue.items.map(item => item.source),
+            position: this.queue.position,
+            shuffle: this.queue.shuffle,
+            repeat: this.queue.repeat,
+            playlist: this.queue.playlist
+        };
+    }
+
+    /**
+     * Get the current source
+     * @returns {string|null} - Source reference
+     */
+    getCurrent() {
+        return this.queue.items[this.queue.position]?.source ?? null;
+    }
+
+    /**
+     * Peek at the source that next() would return, without moving
+     * @returns {string|null} - Source reference
+     */
+    peekNext() {
+        const { items, position, repeat } = this.queue;
+        if (items.length === 0) return null;
+        if (position + 1 < items.length) return items[position + 1].source;
+        return repeat === 'all' && !this.queue.shuffle ? items[0].source : null;
+    }
+
+    /**
+     * Advance the queue
+     * @param {Object} options - { auto } when playback ended on its own
+     * @returns {string|null} - Source to play, or null at the end of the queue
+     */
+    next({ auto = false } = {}) {
+        const { items, repeat } = this.queue;
+        if (items.length === 0) return null;
+
+        // Repeat-one only holds the item when it finishes by itself; skipping still advances
+        if (auto && repeat === 'one') {
+            return this.getCurrent();
+        }
+
+        if (this.queue.position + 1 < items.length) {
+            this.queue.position++;
+        } else if (repeat === 'all' || !auto) {
+            if (this.queue.shuffle) {
+                this.reshuffle();
+            }
+            this.queue.position = 0;
+        } else {
+            return null;
+        }
+
+        this.commit('queue:changed', this.getQueue());
+        return this.getCurrent();
+    }
+
+    /**
+     * Step back in the queue, wrapping to the end
+     * @returns {string|null} - Source to play
+     */
+    previous() {
+        const { items } = this.queue;
+        if (items.length === 0) return null;
+
+        this.queue.position = (this.queue.position - 1 + items.length) % items.length;
+        this.commit('queue:changed', this.getQueue());
+        return this.getCurrent();
+    }
+
+    /**
+     * Jump to a queue position
+     * @param {number} index - Queue index
+     * @returns {string|null} - Source to play
+     */
+    jumpTo(index) {
+        if (index < 0 || index >= this.queue.items.length) {
+            throw new Error(`Queue index out of range: ${index}`);
+        }
+
+        this.queue.position = index;
+        this.commit('queue:changed', this.getQueue());
+        return this.getCurrent();
+    }
+
+    /**
+     * Make a source current: jump to it if queued, otherwise queue it right
+     * after the current item and move there
+     * @param {string} source - Source reference
+     * @returns {string} - The source
+     */
+    focus(source) {
+        const index = this.queue.items.findIndex(item => item.source === source);
+        if (index !== -1) {
+            return this.jumpTo(index);
+        }
+        if (this.queue.items.length === 0) {
+            return this.setQueue([source]);
+        }
+
+        this.playNext(source);
+        return this.jumpTo(this.queue.position + 1);
+    }
+
+    /**
+     * Queue a source to play right after the current one
+     * @param {string} source - Source reference
+     */
+    playNext(source) {
+        this.insert(source, this.queue.position + 1);
+    }
+
+    /**
+     * Insert a source into the queue
+     * @param {string} source - Source reference
+     * @param {number} index - Queue index, defaults to the end
+     */
+    insert(source, index = this.queue.items.length) {
+        const item = this.createItem(source);
+        const at = Math.max(0, Math.min(index, this.queue.items.length));
+        const anchor = this.queue.items[at - 1];
+
+        this.queue.items.splice(at, 0, item);
+        if (at <= this.queue.position) {
+            this.queue.position++;
+        }
+        if (this.queue.position < 0) {
+            this.queue.position = 0;
+        }
+
+        // Keep the unshuffled order in step, next to the same neighbour
+        if (this.queue.originalItems) {
+            const anchorIndex = anchor ? this.queue.originalItems.indexOf(anchor) : -1;
+            this.queue.originalItems.splice(anchorIndex + 1, 0, item);
+        }
+
+        this.commit('queue:changed', this.getQueue());
+    }
+
+    /**
+     * Remove a queue entry
+     * @param {number} index - Queue index
+     */
+    remove(index) {
+        const [item] = this.queue.items.splice(index, 1);
+        if (!item) return;
+
+        if (index < this.queue.position || this.queue.position >= this.queue.items.length) {
+            this.queue.position--;
+        }
+        if (this.queue.originalItems) {
+            this.queue.originalItems = this.queue.originalItems.filter(entry => entry !== item);
+        }
+
+        this.commit('queue:changed', this.getQueue());
+    }
+
+    /**
+     * Empty the queue
+     */
+    clearQueue() {
+        this.setQueue([]);
+    }
+
+    /**
+     * Turn shuffle on or off.
+     * On: the current item stays first and the rest play once each in random order.
+     * Off: the original order is restored and playback continues from the current item.
+     * @param {boolean} enabled - Whether to shuffle
+     */
+    setShuffle(enabled) {
+        if (enabled === this.queue.shuffle) return;
+        const current = this.queue.items[this.queue.position];
+
+        if (enabled) {
+            this.queue.originalItems = [...this.queue.items];
+            this.queue.shuffle = true;
+            this.reshuffle(current);
+        } else {
+            this.queue.items = this.queue.originalItems || this.queue.items;
+            this.queue.originalItems = null;
+            this.queue.shuffle = false;
+            this.queue.position = current ? this.queue.items.indexOf(current) : -1;
+        }
+
+        this.commit('queue:changed', this.getQueue());
+    }
+
+    /**
+     * Shuffle the queue, optionally keeping one item first.
+     * Without a pinned item the last played item is kept off the first slot so
+     * a new cycle never starts with a repeat.
+     * @param {Object} [pinned] - Item to keep at position 0
+     */
+    reshuffle(pinned) {
+        const items = this.queue.originalItems || this.queue.items;
+        const last = this.queue.items[this.queue.position];
+
+        if (pinned) {
+            this.queue.items = [pinned, ...shuffleArray(items.filter(item => item !== pinned))];
+        } else {
+            this.queue.items = shuffleArray([...items]);
+            if (this.queue.items.length > 1 && this.queue.items[0] === last) {
+                const swap = 1 + Math.floor(Math.random() * (this.queue.items.length - 1));
+                [this.queue.items[0], this.queue.items[swap]] = [this.queue.items[swap], this.queue.items[0]];
+            }
+        }
+        this.queue.position = this.queue.items.length > 0 ? 0 : -1;
+    }
+
+    /**
+     * Set the repeat mode
+     * @param {string} mode - 'off', 'one' or 'all'
+     */
+    setRepeat(mode) {
+        if (!REPEAT_MODES.includes(mode)) {
+            throw new Error(`Repeat mode must be one of: ${REPEAT_MODES.join(', ')}`);
+        }
+
+        this.queue.repeat = mode;
+        this.commit('queue:changed', this.getQueue());
+    }
+
+    /**
+     * Persist and announce a change
+     * @param {string} event - Event name
+     * @param {*} data - Event payload
+     */
+    commit(event, data) {
+        this.save();
+        eventEmitter.emit(event, data);
+    }
+
+    /**
+     * Load playlists and queue from localStorage
+     */
+    load() {
+        try {
+            const cached = localStorage.getItem(PLAYLIST.STORAGE_KEY);
+            if (!cached) return;
+
+            const { playlists = [], queue = {} } = JSON.parse(cached);
+            playlists.forEach(playlist => this.playlists.set(playlist.name, playlist));
+
+            const items = (queue.items || []).map(source => this.createItem(source));
+            this.queue = {
+                ...this.createQueue(),
+                items,
+                position: Math.min(queue.position ?? -1, items.length - 1),
+                shuffle: Boolean(queue.shuffle),
+                repeat: REPEAT_MODES.includes(queue.repeat) ? queue.repeat : 'off',
+                playlist: queue.playlist || null
+            };
+
+            // Saved as indices into the play order
+            if (this.queue.shuffle && Array.isArray(queue.originalOrder)) {
+                this.queue.originalItems = queue.originalOrder
+                    .map(index => items[index])
+                    .filter(Boolean);
+            }
+        } catch (error) {
+            console.warn('Failed to load playlists:', error);
+        }
+    }
+
+    /**
+     * Save playlists and queue to localStorage
+     */
+    save() {
+        try {
+            const { items, originalItems } = this.queue;
+            localStorage.setItem(PLAYLIST.STORAGE_KEY, JSON.stringify({
+                playlists: this.getPlaylists(),
+                queue: {
+                    ...this.getQueue(),
+                    originalOrder: originalItems?.map(item => items.indexOf(item)) ?? null
+                }
+            }));
+        } catch (error) {
+            console.warn('Failed to save playlists:', error);
+        }
+    }
+}
+
+// Create and export singleton instance
+const playlistManager = new PlaylistManager();
+export default playlistManager;
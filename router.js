@@ -0,0 +1,120 @@
+import eventEmitter from './utils/EventEmitter.js';
+import { ROUTER } from './config/config.js';
+
+/**
+ * Parse a timestamp: seconds ("90"), clock ("1:30", "1:02:03") or units ("1m30s", "1h2m")
+ * @param {string|null} value - Timestamp
+ * @returns {number|null} - Seconds, or null if not a timestamp
+ */
+export function parseTimestamp(value) {
+    if (!value) return null;
+
+    if (/^\d+(\.\d+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+
+    if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(value)) {
+        return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
+    const units = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/.exec(value);
+    if (units) {
+        const [, hours = 0, minutes = 0, seconds = 0] = units;
+        return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    }
+    return null;
+}
+
+/**
+ * Reads and writes deep links of the form
+ * ?cid=<source>&t=<time>&list=<playlist>&i=<position> (or the same keys after #).
+ * `i` is 1-based so links read naturally; `list` is a playlist name or playlist CID.
+ */
+class Router {
+    constructor() {
+        this.lastTimeUpdate = 0;
+        this.current = this.getRoute();
+
+        window.addEventListener('popstate', () => {
+            this.current = this.getRoute();
+            eventEmitter.emit('route:changed', this.current);
+        });
+    }
+
+    /**
+     * Read the route from the current URL, query string first, then hash
+     * @returns {Object} - { cid, time, list, index }
+     */
+    getRoute() {
+        const query = new URLSearchParams(window.location.search);
+        const hash = new URLSearchParams(window.location.hash.replace(/^#\/?/, ''));
+        const params = ['cid', 'list'].some(key => query.has(key)) ? query : hash;
+
+        const index = parseInt(params.get('i'), 10);
+        return {
+            cid: params.get('cid') || null,
+            time: parseTimestamp(params.get('t')),
+            list: params.get('list') || null,
+            index: Number.isFinite(index) && index > 0 ? index : null
+        };
+    }
+
+    /**
+     * Build the URL for a route, keeping unrelated query parameters
+     * @param {Object} route - { cid, time, list, index }
+     * @returns {string} - URL
+     */
+    buildUrl({ cid, time, list, index }) {
+        const url = new URL(window.location.href);
+        const params = new URLSearchParams(ROUTER.MODE === 'hash' ? '' : url.search);
+        ['cid', 't', 'list', 'i'].forEach(key => params.delete(key));
+
+        if (cid) params.set('cid', cid);
+        if (Number.isFinite(time) && time > 0) params.set('t', String(Math.floor(time)));
+        if (list) params.set('list', list);
+        if (list && index) params.set('i', String(index));
+
+        if (ROUTER.MODE === 'hash') {
+            url.hash = params.toString();
+        } else {
+            url.search = params.toString();
+        }
+        return url.toString();
+    }
+
+    /**
+     * Record a navigation
+     * @param {Object} route - { cid, time, list, index }
+     * @param {string} mode - 'push' adds a history entry, 'replace' rewrites the current one
+     */
+    navigate(route, mode = 'push') {
+        const url = this.buildUrl(route);
+        this.current = { ...route };
+
+        if (url === window.location.href) return;
+        if (mode === 'replace') {
+            history.replaceState(this.current, '', url);
+        } else {
+            history.pushState(this.current, '', url);
+        }
+    }
+
+    /**
+     * Keep the timestamp in the URL current without adding history entries
+     * @param {number} time - Playback position in seconds
+     * @param {boolean} force - Write now instead of waiting for the interval
+     */
+    updateTime(time, force = false) {
+        const now = Date.now();
+        if (!this.current.cid || (!force && now - this.lastTimeUpdate < ROUTER.TIME_UPDATE_INTERVAL)) {
+            return;
+        }
+
+        this.lastTimeUpdate = now;
+        this.navigate({ ...this.current, time }, 'replace');
+    }
+}
+
+// Create and export singleton instance
+const router = new Router();
+export default router;
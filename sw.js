@@ -0,0 +1,412 @@
+/**
+ * Service worker that caches gateway byte ranges.
+ * Gateway requests carrying a Range header are served from fixed-size pieces
+ * kept in Cache Storage, so seeking back never re-downloads; pieces are evicted
+ * least recently used first once SERVICE_WORKER.CACHE_BUDGET is exceeded.
+ * Requests that fail are retried on the other gateways the page reported.
+ * Responses carry SERVICE_WORKER.SERVED_BY_HEADER naming the gateway that
+ * actually answered, or the cache, so the page credits the right one.
+ */
+import { PROVIDERS, SERVICE_WORKER } from './config/config.js';
+import { parseContentPath, toCidV1 } from './utils/cid.js';
+
+const RANGE_PATTERN = /^bytes=(\d+)-(\d*)$/;
+const PIECE_PREFIX = `${self.location.origin}/__ranges/`;
+
+// Gateways to fail over to, best first; the page replaces this with its live list
+let gateways = Object.entries(PROVIDERS.templates).map(([id, template]) => ({ id, template, headers: {} }));
+
+// Cached pieces, least recently used first: cache key -> size in bytes
+const pieces = new Map();
+let cachedBytes = 0;
+let indexReady = null;
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+    const { type, gateways: list } = event.data || {};
+    if (type === 'gateways' && Array.isArray(list)) {
+        gateways = list;
+    } else if (type === 'clear') {
+        event.waitUntil(clearPieces());
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    // Same-origin files, format queries and trustless (CAR/raw block) requests pass through untouched
+    if (url.origin === self.location.origin || url.search || /application\/vnd\.ipld/.test(request.headers.get('accept') || '')) {
+        return;
+    }
+
+    const content = parseContentPath(request.url);
+    if (!content) return;
+
+    event.respondWith(handleGatewayRequest(request, content.contentPath));
+});
+
+/**
+ * Serve a gateway request from cached pieces, the network, or another gateway
+ * @param {Request} request - Intercepted request
+ * @param {string} contentPath - CID and path the request points at
+ * @returns {Promise<Response>} - Response
+ */
+async function handleGatewayRequest(request, contentPath) {
+    const range = parseRange(request.headers.get('range'));
+    if (!range) {
+        return fetchWithFailover(request, contentPath, null);
+    }
+
+    try {
+        await loadIndex();
+        const cached = await readPieces(contentPath, range);
+        if (cached) {
+            return cached;
+        }
+    } catch (error) {
+        console.warn('Range cache read failed:', error);
+    }
+
+    return fetchAndCache(request, contentPath, range);
+}
+
+/**
+ * Parse a single-range Range header
+ * @param {string|null} header - Range header
+ * @returns {Object|null} - { start, end } with end null for open ranges
+ */
+function parseRange(header) {
+    const match = RANGE_PATTERN.exec(header || '');
+    if (!match) return null;
+
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : null;
+    return end === null || end >= start ? { start, end } : null;
+}
+
+/**
+ * Build the cache key for a piece
+ * @param {string} contentPath - CID and path
+ * @param {number} index - Piece index
+ * @returns {string} - Cache key URL
+ */
+function pieceKey(contentPath, index) {
+    return `${PIECE_PREFIX}${encodeURIComponent(contentPath)}/${index}`;
+}
+
+/**
+ * Build a gateway URL for a content path (mirrors GatewayRegistry.buildUrl)
+ * @param {Object} gateway - { template }
+ * @param {string} contentPath - CID and path
+ * @returns {string} - Gateway URL
+ */
+function buildGatewayUrl(gateway, contentPath) {
+    const [cid, ...path] = contentPath.split('/');
+    const hostCid = gateway.template.includes('{cid}.') ? toCidV1(cid) : cid;
+    const base = gateway.template.replace('{cid}', hostCid);
+    return path.length > 0
+        ? `${base.replace(/\/$/, '')}/${path.map(encodeURIComponent).join('/')}`
+        : base;
+}
+
+/**
+ * Fetch from the requested gateway, moving on to the others when it fails
+ * @param {Request} request - Intercepted request
+ * @param {string} contentPath - CID and path
+ * @param {string|null} rangeHeader - Range to request instead of the original one
+ * @returns {Promise<Response>} - First successful response, else the last failure
+ */
+async function fetchWithFailover(request, contentPath, rangeHeader) {
+    const originalHeaders = new Headers(request.headers);
+    if (rangeHeader) {
+        originalHeaders.set('Range', rangeHeader);
+    }
+
+    const requested = gateways.find(gateway => buildGatewayUrl(gateway, contentPath) === request.url);
+    const attempts = [{ url: request.url, headers: originalHeaders, gateway: requested?.id || null }];
+    for (const gateway of gateways) {
+        const url = buildGatewayUrl(gateway, contentPath);
+        if (url !== request.url) {
+            // Each gateway gets only its own credentials
+            const headers = new Headers(gateway.headers || {});
+            const range = rangeHeader || request.headers.get('range');
+            if (range) {
+                headers.set('Range', range);
+            }
+            attempts.push({ url, headers, gateway: gateway.id });
+        }
+    }
+
+    let lastResponse = null;
+    let lastError = null;
+    for (const { url, headers, gateway } of attempts) {
+        if (request.signal?.aborted) break;
+        try {
+            const response = await fetch(url, {
+                headers,
+                mode: 'cors',
+                credentials: 'omit',
+                signal: request.signal
+            });
+            if (response.ok) {
+                return tagResponse(response, gateway);
+            }
+            lastResponse = tagResponse(response, gateway);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            lastError = error;
+        }
+    }
+
+    if (lastResponse) return lastResponse;
+    throw lastError || new Error(`No gateway served ${contentPath}`);
+}
+
+/**
+ * Copy a gateway response, naming the gateway that served it
+ * @param {Response} response - Gateway response
+ * @param {string|null} gateway - Gateway ID, null when the request's own URL matches none
+ * @returns {Response} - Tagged response
+ */
+function tagResponse(response, gateway) {
+    if (!gateway) return response;
+
+    const headers = new Headers(response.headers);
+    headers.set(SERVICE_WORKER.SERVED_BY_HEADER, gateway);
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * Fetch the whole pieces covering a range, cache them and answer with the
+ * range. Only an open-ended range reads ahead, up to PIECES_PER_REQUEST pieces.
+ * @param {Request} request - Intercepted request
+ * @param {string} contentPath - CID and path
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Response>} - 206 response, or the gateway's own response
+ */
+async function fetchAndCache(request, contentPath, { start, end }) {
+    const size = SERVICE_WORKER.PIECE_SIZE;
+    const first = Math.floor(start / size);
+    const last = end === null
+        ? first + SERVICE_WORKER.PIECES_PER_REQUEST - 1
+        : Math.floor(end / size);
+
+    const response = await fetchWithFailover(request, contentPath, `bytes=${first * size}-${(last + 1) * size - 1}`);
+    const contentRange = /bytes (\d+)-(\d+)\/(\d+)/.exec(response.headers.get('content-range') || '');
+    // A gateway that ignored the range (200) or sent an unusable one is passed through as is
+    if (response.status !== 206 || !contentRange) {
+        return response;
+    }
+
+    const [, rangeStart, rangeEnd, total] = contentRange.map(Number);
+    const data = new Uint8Array(await response.arrayBuffer());
+    const type = response.headers.get('content-type') || 'application/octet-stream';
+    const servedBy = response.headers.get(SERVICE_WORKER.SERVED_BY_HEADER);
+
+    if (rangeStart === first * size) {
+        await storePieces(contentPath, first, data, total, type);
+    }
+
+    const servedEnd = Math.min(end ?? rangeEnd, rangeEnd);
+    if (start < rangeStart || start > servedEnd) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${total}` } });
+    }
+    return partialResponse(data.subarray(start - rangeStart, servedEnd - rangeStart + 1), start, total, type, servedBy);
+}
+
+/**
+ * Answer a range from cached pieces. Open-ended ranges get as many contiguous
+ * cached bytes as there are; closed ranges must be fully cached.
+ * @param {string} contentPath - CID and path
+ * @param {Object} range - { start, end }
+ * @returns {Promise<Response|null>} - 206 response, or null on a cache miss
+ */
+async function readPieces(contentPath, { start, end }) {
+    const size = SERVICE_WORKER.PIECE_SIZE;
+    const cache = await caches.open(SERVICE_WORKER.CACHE_NAME);
+    const first = Math.floor(start / size);
+    const parts = [];
+    let available = first * size - 1; // last cached byte found so far
+    let total = null;
+    let type = null;
+
+    for (let index = first; ; index++) {
+        const key = pieceKey(contentPath, index);
+        const piece = pieces.has(key) ? await cache.match(key) : null;
+        if (!piece) break;
+
+        total = Number(piece.headers.get('x-total-size'));
+        type = piece.headers.get('content-type');
+        const bytes = new Uint8Array(await piece.arrayBuffer());
+        parts.push(bytes);
+        available += bytes.byteLength;
+        touch(key);
+
+        // Open ranges are answered with at most one request's worth of pieces
+        const target = end === null
+            ? Math.min(total, (first + SERVICE_WORKER.PIECES_PER_REQUEST) * size) - 1
+            : Math.min(end, total - 1);
+        if (available >= target) break;
+    }
+
+    if (available < start || (end !== null && available < Math.min(end, total - 1))) {
+        return null;
+    }
+
+    const data = new Uint8Array(available - first * size + 1);
+    let offset = 0;
+    for (const part of parts) {
+        data.set(part, offset);
+        offset += part.byteLength;
+    }
+
+    const servedEnd = end === null ? available : Math.min(end, total - 1);
+    return partialResponse(data.subarray(start - first * size, servedEnd - first * size + 1), start, total, type,
+        SERVICE_WORKER.CACHE_SOURCE);
+}
+
+/**
+ * Build a 206 response
+ * @param {Uint8Array} bytes - Range contents
+ * @param {number} start - First byte offset
+ * @param {number} total - Full size
+ * @param {string} type - Content type
+ * @param {string|null} servedBy - Gateway ID, or SERVICE_WORKER.CACHE_SOURCE
+ * @returns {Response} - Partial content response
+ */
+function partialResponse(bytes, start, total, type, servedBy) {
+    const headers = new Headers({
+        'Content-Type': type,
+        'Content-Length': String(bytes.byteLength),
+        'Content-Range': `bytes ${start}-${start + bytes.byteLength - 1}/${total}`,
+        'Accept-Ranges': 'bytes'
+    });
+    if (servedBy) {
+        headers.set(SERVICE_WORKER.SERVED_BY_HEADER, servedBy);
+    }
+    return new Response(bytes, { status: 206, statusText: 'Partial Content', headers });
+}
+
+/**
+ * Split fetched bytes into pieces and cache the complete ones
+ * @param {string} contentPath - CID and path
+ * @param {number} first - Index of the first piece
+ * @param {Uint8Array} data - Bytes starting at the first piece
+ * @param {number} total - Full size
+ * @param {string} type - Content type
+ * @returns {Promise<void>}
+ */
+async function storePieces(contentPath, first, data, total, type) {
+    const size = SERVICE_WORKER.PIECE_SIZE;
+    const cache = await caches.open(SERVICE_WORKER.CACHE_NAME);
+
+    for (let offset = 0; offset < data.byteLength; offset += size) {
+        const bytes = data.slice(offset, offset + size);
+        const pieceStart = first * size + offset;
+        // Only full pieces, or the final piece of the file, are reusable
+        if (bytes.byteLength < size && pieceStart + bytes.byteLength < total) break;
+
+        const key = pieceKey(contentPath, first + offset / size);
+        try {
+            await cache.put(key, new Response(bytes, {
+                headers: {
+                    'Content-Type': type,
+                    'Content-Length': String(bytes.byteLength),
+                    'X-Total-Size': String(total),
+                    'X-Stored-At': String(Date.now())
+                }
+            }));
+            if (pieces.has(key)) {
+                cachedBytes -= pieces.get(key);
+            }
+            pieces.delete(key);
+            pieces.set(key, bytes.byteLength);
+            cachedBytes += bytes.byteLength;
+        } catch (error) {
+            console.warn('Range cache write failed:', error);
+            break;
+        }
+    }
+
+    await evict(cache);
+}
+
+/**
+ * Mark a piece as just used
+ * @param {string} key - Cache key
+ */
+function touch(key) {
+    const size = pieces.get(key);
+    pieces.delete(key);
+    pieces.set(key, size);
+}
+
+/**
+ * Delete least recently used pieces until the cache fits its budget
+ * @param {Cache} cache - Range cache
+ * @returns {Promise<void>}
+ */
+async function evict(cache) {
+    for (const [key, size] of pieces) {
+        if (cachedBytes <= SERVICE_WORKER.CACHE_BUDGET) break;
+        await cache.delete(key);
+        pieces.delete(key);
+        cachedBytes -= size;
+    }
+}
+
+/**
+ * Rebuild the piece index from the cache when the worker starts. Use order
+ * is not stored, so pieces start out ordered by when they were cached.
+ * @returns {Promise<void>}
+ */
+function loadIndex() {
+    if (!indexReady) {
+        indexReady = (async () => {
+            const cache = await caches.open(SERVICE_WORKER.CACHE_NAME);
+            const entries = await Promise.all((await cache.keys()).map(async request => {
+                const response = await cache.match(request);
+                return {
+                    key: request.url,
+                    size: Number(response?.headers.get('content-length')) || 0,
+                    storedAt: Number(response?.headers.get('x-stored-at')) || 0
+                };
+            }));
+
+            entries
+                .sort((a, b) => a.storedAt - b.storedAt)
+                .forEach(({ key, size }) => {
+                    pieces.set(key, size);
+                    cachedBytes += size;
+                });
+            await evict(cache);
+        })().catch(error => {
+            indexReady = null;
+            throw error;
+        });
+    }
+    return indexReady;
+}
+
+/**
+ * Drop every cached piece
+ * @returns {Promise<void>}
+ */
+async function clearPieces() {
+    await caches.delete(SERVICE_WORKER.CACHE_NAME);
+    pieces.clear();
+    cachedBytes = 0;
+}
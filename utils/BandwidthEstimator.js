@@ -0,0 +1,145 @@
+import eventEmitter from './EventEmitter.js';
+import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+
+/**
+ * Network bandwidth measured from media downloads. Every `chunk:loaded`
+ * sample is kept for VIDEO_SETTINGS.NETWORK.BANDWIDTH_ESTIMATION_TIME; the
+ * estimate is the bytes of the samples in that window over the time during
+ * which at least one of them was downloading, so parallel range requests add
+ * up instead of each reporting a share of the link. Transfers too small to
+ * measure more than latency are skipped, and samples far off the median
+ * (cache hits, a stalled gateway) are left out.
+ */
+export class BandwidthEstimator {
+    constructor(options = {}) {
+        const { NETWORK } = VIDEO_SETTINGS;
+        this.window = options.window || NETWORK.BANDWIDTH_ESTIMATION_TIME;
+        this.minBandwidth = options.minBandwidth || NETWORK.MIN_BANDWIDTH;
+        this.minSampleSize = options.minSampleSize ?? NETWORK.BANDWIDTH_MIN_SAMPLE_SIZE;
+        this.outlierFactor = options.outlierFactor || NETWORK.BANDWIDTH_OUTLIER_FACTOR;
+        this.samples = [];
+        this.estimate = null;
+    }
+
+    /**
+     * Measure media downloads reported on the event bus and publish each new
+     * estimate as `bandwidth:estimate`
+     */
+    setupEventListeners() {
+        eventEmitter.on('chunk:loaded', ({ size, duration }) => {
+            const previous = this.estimate;
+            const bandwidth = this.addSample(size, duration);
+            if (bandwidth !== null && bandwidth !== previous) {
+                eventEmitter.emit('bandwidth:estimate', { bandwidth });
+            }
+        });
+    }
+
+    /**
+     * Record a finished download
+     * @param {number} bytes - Bytes received
+     * @param {number} duration - Download time in milliseconds
+     * @param {number} [now] - Time the download finished (performance.now())
+     * @returns {number|null} - New estimate in bits per second
+     */
+    addSample(bytes, duration, now = performance.now()) {
+        if (!(bytes >= this.minSampleSize) || !(duration > 0)) {
+            return this.estimate;
+        }
+
+        this.samples.push({ start: now - duration, end: now, bytes });
+        this.prune(now);
+        this.estimate = this.calculate();
+        return this.estimate;
+    }
+
+    /**
+     * Drop samples that finished before the window
+     * @param {number} now - Current time
+     */
+    prune(now) {
+        // The newest sample always counts, however long ago it finished
+        const cutoff = now - this.window;
+        this.samples = this.samples.filter((sample, index) =>
+            sample.end >= cutoff || index === this.samples.length - 1
+        );
+    }
+
+    /**
+     * Estimate bandwidth from the samples in the window
+     * @returns {number|null} - Bits per second, never below MIN_BANDWIDTH
+     */
+    calculate() {
+        const samples = this.withoutOutliers(this.samples);
+        if (samples.length === 0) {
+            return null;
+        }
+
+        const bytes = samples.reduce((total, sample) => total + sample.bytes, 0);
+        const busy = this.getBusyTime(samples);
+        return Math.max(bytes * 8 / (busy / 1000), this.minBandwidth);
+    }
+
+    /**
+     * Leave out samples whose own throughput is far from the median
+     * @param {Object[]} samples - { start, end, bytes }
+     * @returns {Object[]} - Remaining samples
+     */
+    withoutOutliers(samples) {
+        // Two samples can't say which of them is off
+        if (samples.length < 3) {
+            return samples;
+        }
+
+        const rate = sample => sample.bytes / (sample.end - sample.start);
+        const rates = samples.map(rate).sort((a, b) => a - b);
+        const middle = Math.floor(rates.length / 2);
+        const median = rates.length % 2 ? rates[middle] : (rates[middle - 1] + rates[middle]) / 2;
+
+        return samples.filter(sample =>
+            rate(sample) <= median * this.outlierFactor && rate(sample) >= median / this.outlierFactor
+        );
+    }
+
+    /**
+     * Get the time during which at least one sample was downloading
+     * @param {Object[]} samples - { start, end }
+     * @returns {number} - Milliseconds
+     */
+    getBusyTime(samples) {
+        const sorted = [...samples].sort((a, b) => a.start - b.start);
+        let busy = 0;
+        let start = sorted[0].start;
+        let end = sorted[0].end;
+
+        for (const sample of sorted.slice(1)) {
+            if (sample.start > end) {
+                busy += end - start;
+                start = sample.start;
+            }
+            end = Math.max(end, sample.end);
+        }
+        return busy + end - start;
+    }
+
+    /**
+     * Get the current estimate
+     * @returns {number|null} - Bits per second, or null before the first sample
+     */
+    getEstimate() {
+        return this.estimate;
+    }
+
+    /**
+     * Forget all samples
+     */
+    reset() {
+        this.samples = [];
+        this.estimate = null;
+    }
+}
+
+// Create and export singleton instance
+const bandwidthEstimator = new BandwidthEstimator();
+bandwidthEstimator.setupEventListeners();
+export default bandwidthEstimator;
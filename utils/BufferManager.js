@@ -1,6 +1,10 @@
 import eventEmitter from './EventEmitter.js';
 import { VIDEO_SETTINGS } from '../config/videoConfig.js';
 import { BufferError } from './ErrorHandler.js';
+import { MediaSourcePipeline } from './MediaSourcePipeline.js';
+import { RangeScheduler } from './RangeScheduler.js';
+import { sniffContentType } from './verifiedFetch.js';
+import { FragmentIndex, isFragmentedMp4 } from './fmp4.js';
 
 /**
  * Manages video buffer state and chunk loading
@@ -11,6 +15,15 @@ export class BufferManager {
         this.chunks = new Map();
         this.loadingChunks = new Set();
         this.activeRequests = new Map();
+        this.retryStarts = [];
+        this.pipeline = null;
+        this.source = null;
+        this.index = null;
+        this.nextByte = 0;
+        this.appendOffset = 0;
+        this.appending = false;
+        this.generation = 0;
+        this.seekController = null;
         this.bufferState = {
             current: 0,
             optimal: VIDEO_SETTINGS.OPTIMAL_BUFFER,
@@ -31,16 +44,20 @@ export class BufferManager {
      * Set up event listeners
      */
     setupEventListeners() {
-        this.video.addEventListener('timeupdate', () => this.updateBufferState());
-        this.video.addEventListener('seeking', () => this.handleSeeking());
-        this.video.addEventListener('progress', () => this.handleProgress());
+        this.updateBufferState = this.updateBufferState.bind(this);
+        this.handleSeeking = this.handleSeeking.bind(this);
+        this.handleProgress = this.handleProgress.bind(this);
+
+        this.video.addEventListener('timeupdate', this.updateBufferState);
+        this.video.addEventListener('seeking', this.handleSeeking);
+        this.video.addEventListener('progress', this.handleProgress);
     }
 
     /**
      * Start buffer monitoring
      */
     startBufferMonitoring() {
-        setInterval(() => this.monitorBuffer(), VIDEO_SETTINGS.BUFFER_CHECK_INTERVAL);
+        this.monitorInterval = setInterval(() => this.monitorBuffer(), VIDEO_SETTINGS.BUFFER_CHECK_INTERVAL);
     }
 
     /**
@@ -49,9 +66,10 @@ export class BufferManager {
     updateBufferState() {
         if (!this.video.buffered.length) return;
 
+        // Only the range under the playhead counts; media buffered past a gap isn't reachable yet
         const currentTime = this.video.currentTime;
-        const buffered = this.video.buffered.end(this.video.buffered.length - 1);
-        const bufferAhead = buffered - currentTime;
+        const range = this.getBufferedRange(currentTime);
+        const bufferAhead = range ? range.end - currentTime : 0;
 
         this.bufferState.current = bufferAhead;
 
@@ -68,12 +86,124 @@ export class BufferManager {
     }
 
     /**
-     * Handle seeking
+     * Get the buffered range holding a time
+     * @param {number} time - Time in seconds
+     * @returns {Object|null} - { start, end }
+     */
+    getBufferedRange(time) {
+        const buffered = this.video.buffered;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= time && time < buffered.end(i)) {
+                return { start: buffered.start(i), end: buffered.end(i) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Handle seeking. A target that isn't buffered, behind the playhead after
+     * eviction or ahead of the download, restarts the download at the
+     * fragment holding it; one that can't be mapped to a byte offset falls
+     * back to progressive playback through `mse:error`.
      */
-    handleSeeking() {
+    async handleSeeking() {
+        const source = this.source;
+        if (!source || !this.pipeline) return;
+
+        const time = this.video.currentTime;
+        if (this.getBufferedRange(time)) {
+            this.loadNextChunk(true);
+            return;
+        }
+
+        this.seekController?.abort();
+        const controller = new AbortController();
+        this.seekController = controller;
+
+        try {
+            const offset = this.index?.find(time) ?? await this.locateFragment(time, controller.signal);
+            if (controller.signal.aborted || this.source !== source) {
+                return;
+            }
+            if (offset === null) {
+                throw new BufferError('No fragment found for the seek target', time);
+            }
+
+            await this.restartAt(offset, time);
+        } catch (error) {
+            if (!controller.signal.aborted && this.source === source) {
+                eventEmitter.emit('mse:error', { error, video: this.video });
+            }
+        } finally {
+            if (this.seekController === controller) {
+                this.seekController = null;
+            }
+        }
+    }
+
+    /**
+     * Find the fragment holding a time beyond the indexed bytes, starting
+     * from the proportional position in the file and correcting by the
+     * times of the fragments found there
+     * @param {number} time - Time in seconds
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<number|null>} - File offset of the moof to append from
+     */
+    async locateFragment(time, signal) {
+        const { size } = this.source;
+        const duration = this.video.duration;
+        if (!this.index || !Number.isFinite(size) || !Number.isFinite(duration) || !(duration > 0)) {
+            return null;
+        }
+
+        const chunkSize = VIDEO_SETTINGS.NETWORK.CHUNK_SIZE;
+        const bytesPerSecond = size / duration;
+        let guess = time * bytesPerSecond;
+
+        for (let attempt = 0; attempt < VIDEO_SETTINGS.MSE.SEEK_ATTEMPTS; attempt++) {
+            const start = Math.min(Math.max(Math.floor(guess - chunkSize / 2), 0), Math.max(size - chunkSize, 0));
+            const end = Math.min(start + chunkSize, size) - 1;
+            const { data } = await this.fetchRange(start, end, signal);
+
+            const found = this.index.scan(start, data).sort((a, b) => a.time - b.time);
+            const offset = this.index.find(time);
+            if (offset !== null) {
+                return offset;
+            }
+
+            // A chunk inside one long mdat holds no moof; look further on
+            if (found.length === 0) {
+                guess = end + chunkSize / 2;
+            } else if (found[0].time > time) {
+                guess = start - (found[0].time - time) * bytesPerSecond;
+            } else {
+                guess = end + (time - found[found.length - 1].time) * bytesPerSecond;
+            }
+        }
+
+        // Any fragment before the target will do, if at the cost of a longer download
+        return this.index.find(time, false);
+    }
+
+    /**
+     * Drop queued and in-flight chunks and download from another moof
+     * @param {number} offset - File offset of the moof
+     * @param {number} time - Time being played from
+     * @returns {Promise<void>}
+     */
+    async restartAt(offset, time) {
         this.abortPendingRequests();
         this.loadingChunks.clear();
-        this.loadNextChunk();
+        this.chunks.clear();
+        this.retryStarts = [];
+        this.generation++;
+        this.nextByte = offset;
+        this.appendOffset = offset;
+        this.index.resume(offset);
+
+        // Media past the target is downloaded again, so it mustn't hold the size budget
+        await this.pipeline.evictAfter(time);
+        this.loadNextChunk(true);
     }
 
     /**
@@ -109,91 +239,231 @@ export class BufferManager {
     }
 
     /**
-     * Load next video chunk
-     * @param {boolean} highPriority - Whether this is a high priority load
+     * Attach a CID and play it through Media Source Extensions
+     * @param {string} cid - Content ID
+     * @param {Array} providers - Provider objects exposing fetch(cid, start, end, options)
+     * @param {Object} [head] - Leading bytes fetched ahead of time: { data, size }
+     * @returns {Promise<boolean>} - Whether MSE playback was set up
      */
-    async loadNextChunk(highPriority = false) {
-        if (this.loadingChunks.size >= VIDEO_SETTINGS.NETWORK.CONCURRENT_CHUNKS) {
-            return;
+    async attachSource(cid, providers, head = null) {
+        if (!VIDEO_SETTINGS.MSE.ENABLED || typeof MediaSource === 'undefined' || providers.length === 0) {
+            return false;
         }
 
-        const nextChunkStart = this.getNextChunkStart();
-        if (!nextChunkStart || this.loadingChunks.has(nextChunkStart)) {
-            return;
+        this.detachSource();
+        const source = {
+            cid,
+            size: Infinity,
+            scheduler: new RangeScheduler(providers)
+        };
+        this.source = source;
+
+        const { data, size } = head || await this.fetchRange(0, VIDEO_SETTINGS.NETWORK.CHUNK_SIZE - 1);
+        if (this.source !== source) {
+            return false;
         }
 
-        this.loadingChunks.add(nextChunkStart);
+        const mimeType = this.getMimeType(new Uint8Array(data));
+        if (!mimeType) {
+            this.source = null;
+            return false;
+        }
 
-        try {
-            const chunkSize = VIDEO_SETTINGS.NETWORK.CHUNK_SIZE;
-            const controller = new AbortController();
-            this.activeRequests.set(nextChunkStart, controller);
+        source.size = size;
+        this.index = mimeType === VIDEO_SETTINGS.MSE.MIME_TYPES.MP4 ? new FragmentIndex() : null;
+        this.pipeline = new MediaSourcePipeline(this.video);
+        await this.pipeline.open(mimeType);
 
-            const response = await fetch(this.getChunkUrl(nextChunkStart), {
-                signal: controller.signal,
-                priority: highPriority ? 'high' : 'auto'
-            });
+        this.chunks.set(0, data);
+        this.nextByte = data.byteLength;
+        await this.appendChunks();
+        this.loadNextChunk(true);
+
+        return true;
+    }
+
+    /**
+     * Stop MSE playback of the current source
+     */
+    detachSource() {
+        this.abortPendingRequests();
+        this.seekController?.abort();
+        this.seekController = null;
+        this.loadingChunks.clear();
+        this.chunks.clear();
+        this.retryStarts = [];
+        this.generation++;
+        this.nextByte = 0;
+        this.appendOffset = 0;
+        this.source = null;
+        this.index = null;
+        if (this.pipeline) {
+            this.pipeline.dispose();
+            this.pipeline = null;
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    /**
+     * Pick the MSE MIME type matching the container in the first bytes.
+     * MP4s that aren't fragmented can't be appended and get null, so they go
+     * straight to progressive playback.
+     * @param {Uint8Array} bytes - Leading file bytes
+     * @returns {string|null} - Supported MIME type or null
+     */
+    getMimeType(bytes) {
+        const { MIME_TYPES } = VIDEO_SETTINGS.MSE;
+        const container = sniffContentType(bytes);
+        const mimeType = container === 'video/mp4' ? (isFragmentedMp4(bytes) ? MIME_TYPES.MP4 : null)
+            : container === 'video/webm' ? MIME_TYPES.WEBM
+            : null;
+
+        return mimeType && MediaSourcePipeline.isSupported(mimeType) ? mimeType : null;
+    }
+
+    /**
+     * Fetch a byte range of the attached source across the provider swarm
+     * @param {number} start - First byte
+     * @param {number} end - Last byte (inclusive)
+     * @param {AbortSignal} [signal] - Abort signal
+     * @returns {Promise<Object>} - { data, size }
+     */
+    async fetchRange(start, end, signal) {
+        const { cid, scheduler } = this.source;
+        const { data, size } = await scheduler.fetchRange(cid, start, end, { signal });
+        return { data, size };
+    }
+
+    /**
+     * Load the next video chunks up to the concurrency limit
+     * @param {boolean} highPriority - Whether this is a high priority load
+     */
+    loadNextChunk(highPriority = false) {
+        while (this.source && this.loadingChunks.size < VIDEO_SETTINGS.NETWORK.CONCURRENT_CHUNKS) {
+            if (this.getBufferedBytes() >= VIDEO_SETTINGS.MAX_BUFFER_SIZE) {
+                return;
+            }
+
+            const start = this.getNextChunkStart();
+            if (start === null) {
+                return;
             }
 
-            const chunk = await response.arrayBuffer();
-            this.chunks.set(nextChunkStart, chunk);
-            this.loadingChunks.delete(nextChunkStart);
-            this.activeRequests.delete(nextChunkStart);
+            this.loadChunk(start, highPriority);
+        }
+    }
+
+    /**
+     * Load a single chunk and append it once all earlier bytes are in
+     * @param {number} start - First byte of the chunk
+     * @param {boolean} highPriority - Whether this is a high priority load
+     */
+    async loadChunk(start, highPriority) {
+        const source = this.source;
+        const end = Math.min(start + VIDEO_SETTINGS.NETWORK.CHUNK_SIZE, source.size) - 1;
+        const controller = new AbortController();
 
+        this.loadingChunks.add(start);
+        this.activeRequests.set(start, controller);
+
+        try {
+            const requested = performance.now();
+            const { data } = await this.fetchRange(start, end, controller.signal);
+            if (controller.signal.aborted || this.source !== source) {
+                return;
+            }
+
+            this.chunks.set(start, data);
             eventEmitter.emit('chunk:loaded', {
-                start: nextChunkStart,
-                size: chunk.byteLength
+                start,
+                size: data.byteLength,
+                duration: performance.now() - requested,
+                highPriority
             });
 
+            await this.appendChunks();
         } catch (error) {
-            if (error.name === 'AbortError') {
+            if (controller.signal.aborted || this.source !== source) {
                 return;
             }
 
-            this.loadingChunks.delete(nextChunkStart);
-            this.activeRequests.delete(nextChunkStart);
-            
+            this.retryStarts.push(start);
             eventEmitter.emit('chunk:error', {
-                start: nextChunkStart,
-                error
+                start,
+                error: new BufferError('Chunk loading failed', this.video.currentTime)
             });
-
-            throw new BufferError('Chunk loading failed', nextChunkStart);
+        } finally {
+            this.loadingChunks.delete(start);
+            this.activeRequests.delete(start);
         }
+
+        this.updateBufferState();
     }
 
     /**
-     * Get URL for chunk
-     * @param {number} start - Chunk start time
-     * @returns {string} - Chunk URL
+     * Append downloaded chunks to the SourceBuffer in byte order
+     * @returns {Promise<void>}
      */
-    getChunkUrl(start) {
-        // Implement based on your chunking strategy
-        return `${this.video.currentSrc}#t=${start}`;
+    async appendChunks() {
+        if (this.appending || !this.pipeline) {
+            return;
+        }
+
+        const pipeline = this.pipeline;
+        this.appending = true;
+
+        try {
+            while (this.pipeline === pipeline && this.chunks.has(this.appendOffset)) {
+                const offset = this.appendOffset;
+                const generation = this.generation;
+                const chunk = this.chunks.get(offset);
+                this.chunks.delete(offset);
+                this.index?.add(offset, chunk);
+                await pipeline.append(chunk);
+
+                // A seek may have moved the download elsewhere meanwhile
+                if (this.generation === generation) {
+                    this.appendOffset = offset + chunk.byteLength;
+                }
+            }
+
+            if (this.pipeline === pipeline && this.appendOffset >= this.source.size) {
+                await pipeline.endOfStream();
+            }
+        } catch (error) {
+            eventEmitter.emit('mse:error', { error, video: this.video });
+        } finally {
+            this.appending = false;
+        }
     }
 
     /**
-     * Get next chunk start time
-     * @returns {number} - Next chunk start time
+     * Get next chunk start byte
+     * @returns {number|null} - Next chunk start byte, or null when fully requested
      */
     getNextChunkStart() {
-        if (!this.video.buffered.length) {
-            return 0;
+        if (this.retryStarts.length > 0) {
+            return this.retryStarts.shift();
         }
 
-        const currentTime = this.video.currentTime;
-        const buffered = this.video.buffered;
-
-        for (let i = 0; i < buffered.length; i++) {
-            if (buffered.end(i) > currentTime) {
-                return Math.ceil(buffered.end(i));
-            }
+        if (this.nextByte >= this.source.size) {
+            return null;
         }
 
-        return Math.ceil(currentTime);
+        const start = this.nextByte;
+        this.nextByte = Math.min(start + VIDEO_SETTINGS.NETWORK.CHUNK_SIZE, this.source.size);
+        return start;
+    }
+
+    /**
+     * Get bytes held in the SourceBuffer and waiting to be appended
+     * @returns {number} - Size in bytes
+     */
+    getBufferedBytes() {
+        let total = this.pipeline ? this.pipeline.bufferedBytes : 0;
+        for (const chunk of this.chunks.values()) {
+            total += chunk.byteLength;
+        }
+        return total;
     }
 
     /**
@@ -207,38 +477,26 @@ export class BufferManager {
     }
 
     /**
-     * Clean up old chunks
+     * Evict played media once the buffer grows past its size budget
      */
     cleanupBuffer() {
-        const currentTime = this.video.currentTime;
-        let totalSize = 0;
-
-        // Calculate total buffer size
-        for (const [start, chunk] of this.chunks) {
-            totalSize += chunk.byteLength;
+        if (!this.pipeline || this.getBufferedBytes() <= VIDEO_SETTINGS.MAX_BUFFER_SIZE) {
+            return;
         }
 
-        // Remove old chunks if buffer is too large
-        if (totalSize > VIDEO_SETTINGS.MAX_BUFFER_SIZE) {
-            for (const [start, chunk] of this.chunks) {
-                if (start < currentTime - 30) {  // Keep last 30 seconds
-                    this.chunks.delete(start);
-                    totalSize -= chunk.byteLength;
-                }
-                if (totalSize <= VIDEO_SETTINGS.MAX_BUFFER_SIZE) {
-                    break;
-                }
-            }
-        }
+        // Keep the configured back-buffer so short seeks stay instant
+        const keepFrom = this.video.currentTime - VIDEO_SETTINGS.MSE.BUFFER_SIZE;
+        this.pipeline.evictBefore(keepFrom)
+            .then(() => this.loadNextChunk())
+            .catch(error => console.warn('Buffer eviction failed:', error));
     }
 
     /**
      * Dispose of resources
      */
     dispose() {
-        this.abortPendingRequests();
-        this.chunks.clear();
-        this.loadingChunks.clear();
+        this.detachSource();
+        clearInterval(this.monitorInterval);
         this.video.removeEventListener('timeupdate', this.updateBufferState);
         this.video.removeEventListener('seeking', this.handleSeeking);
         this.video.removeEventListener('progress', this.handleProgress);
@@ -21,6 +21,17 @@ export class ProviderError extends Error {
   }
 }
 
+/**
+ * Raised when a gateway returns bytes that do not hash to the requested CID
+ */
+export class VerificationError extends ProviderError {
+  constructor(message, provider, cid) {
+    super(message, provider);
+    this.name = 'VerificationError';
+    this.cid = cid;
+  }
+}
+
 export class BufferError extends Error {
   constructor(message, currentTime) {
     super(message);
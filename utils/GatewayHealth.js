@@ -0,0 +1,302 @@
+import eventEmitter from './EventEmitter.js';
+import { GATEWAY_HEALTH } from '../config/config.js';
+
+/**
+ * Classify an error into a coarse class for health statistics
+ * @param {Error|string|null} error - Error or error class
+ * @returns {string|null} - Error class, or null for success
+ */
+export function classifyError(error) {
+    if (!error) return null;
+    if (typeof error === 'string') return error;
+
+    if (error.name === 'VerificationError') return 'integrity';
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') return 'timeout';
+    if (error.name === 'TypeError') return 'network';
+
+    const status = /HTTP (\d{3})/.exec(error.message || '');
+    if (status) {
+        return status[1].startsWith('4') ? 'http-4xx' : 'http-5xx';
+    }
+    return 'other';
+}
+
+/**
+ * Persistent per-gateway request history.
+ * Every request is recorded with its time-to-first-byte, throughput, error
+ * class and time of day; older samples lose weight over time and the
+ * weighted history produces the score used to order providers.
+ */
+export class GatewayHealth {
+    constructor() {
+        this.gateways = new Map();
+        this.saveTimeout = null;
+        this.load();
+    }
+
+    /**
+     * Get or create the history for a gateway
+     * @param {string} id - Gateway ID (host)
+     * @returns {Object} - { samples, disabledUntil }
+     */
+    getEntry(id) {
+        if (!this.gateways.has(id)) {
+            this.gateways.set(id, { samples: [], disabledUntil: 0 });
+        }
+        return this.gateways.get(id);
+    }
+
+    /**
+     * Record the outcome of a request
+     * @param {string} id - Gateway ID
+     * @param {Object} sample - { ttfb, bytes, duration, error }
+     */
+    record(id, { ttfb = null, bytes = 0, duration = null, error = null } = {}) {
+        const entry = this.getEntry(id);
+        const now = Date.now();
+
+        entry.samples.push({
+            time: now,
+            hour: new Date(now).getHours(),
+            ttfb: ttfb !== null ? Math.round(ttfb) : null,
+            throughput: bytes > 0 && duration > 0 ? Math.round(bytes / (duration / 1000)) : null,
+            bytes,
+            error: classifyError(error)
+        });
+
+        if (entry.samples.length > GATEWAY_HEALTH.MAX_SAMPLES) {
+            entry.samples.splice(0, entry.samples.length - GATEWAY_HEALTH.MAX_SAMPLES);
+        }
+
+        eventEmitter.emit('gateway:sample', { id, sample: entry.samples[entry.samples.length - 1] });
+        this.scheduleSave();
+    }
+
+    /**
+     * Weight of a sample given its age
+     * @param {Object} sample - Recorded sample
+     * @param {number} now - Current timestamp
+     * @returns {number} - Weight between 0 and 1
+     */
+    getWeight(sample, now = Date.now()) {
+        return Math.pow(0.5, (now - sample.time) / GATEWAY_HEALTH.HALF_LIFE);
+    }
+
+    /**
+     * Weighted success rate with a neutral prior
+     * @param {string} id - Gateway ID
+     * @returns {number} - Success rate between 0 and 1
+     */
+    getSuccessRate(id) {
+        const now = Date.now();
+        let successes = 1;
+        let total = 2;
+
+        for (const sample of this.getEntry(id).samples) {
+            const weight = this.getWeight(sample, now);
+            total += weight;
+            if (!sample.error) {
+                successes += weight;
+            }
+        }
+
+        return successes / total;
+    }
+
+    /**
+     * Weighted mean of a numeric sample field
+     * @param {string} id - Gateway ID
+     * @param {string} field - 'ttfb' or 'throughput'
+     * @returns {number|null} - Mean, or null without data
+     */
+    getWeightedMean(id, field) {
+        const now = Date.now();
+        let sum = 0;
+        let weights = 0;
+
+        for (const sample of this.getEntry(id).samples) {
+            if (sample[field] === null) continue;
+            const weight = this.getWeight(sample, now);
+            sum += sample[field] * weight;
+            weights += weight;
+        }
+
+        return weights > 0 ? sum / weights : null;
+    }
+
+    /**
+     * Estimated throughput for a gateway
+     * @param {string} id - Gateway ID
+     * @returns {number|null} - Bytes per second, or null without data
+     */
+    getThroughput(id) {
+        return this.getWeightedMean(id, 'throughput');
+    }
+
+    /**
+     * Health score used to order gateways
+     * @param {string} id - Gateway ID
+     * @returns {number} - Score between 0 and 1
+     */
+    getScore(id) {
+        if (this.isDisabled(id)) {
+            return 0;
+        }
+
+        const ttfb = this.getWeightedMean(id, 'ttfb');
+        const throughput = this.getThroughput(id);
+        const latencyFactor = ttfb === null ? 0.5 : 1 / (1 + ttfb / GATEWAY_HEALTH.REFERENCE_TTFB);
+        const throughputFactor = throughput === null
+            ? 0.5
+            : throughput / (throughput + GATEWAY_HEALTH.REFERENCE_THROUGHPUT);
+        const speed = (latencyFactor + throughputFactor) / 2;
+
+        return this.getSuccessRate(id) * (0.25 + 0.75 * speed);
+    }
+
+    /**
+     * Build a decayed histogram of a numeric field
+     * @param {string} id - Gateway ID
+     * @param {string} field - 'ttfb' or 'throughput'
+     * @returns {Array} - [{ upTo, weight }] with a final Infinity bucket
+     */
+    getHistogram(id, field) {
+        const bounds = field === 'ttfb'
+            ? GATEWAY_HEALTH.TTFB_BUCKETS
+            : GATEWAY_HEALTH.THROUGHPUT_BUCKETS;
+        const buckets = [...bounds, Infinity].map(upTo => ({ upTo, weight: 0 }));
+        const now = Date.now();
+
+        for (const sample of this.getEntry(id).samples) {
+            if (sample[field] === null) continue;
+            const bucket = buckets.find(({ upTo }) => sample[field] <= upTo);
+            bucket.weight += this.getWeight(sample, now);
+        }
+
+        return buckets;
+    }
+
+    /**
+     * Summarise a gateway's history
+     * @param {string} id - Gateway ID
+     * @returns {Object} - Health summary
+     */
+    getSummary(id) {
+        const entry = this.getEntry(id);
+        const errors = {};
+        const hourly = Array.from({ length: 24 }, () => ({ requests: 0, failures: 0 }));
+
+        for (const sample of entry.samples) {
+            hourly[sample.hour].requests++;
+            if (sample.error) {
+                errors[sample.error] = (errors[sample.error] || 0) + 1;
+                hourly[sample.hour].failures++;
+            }
+        }
+
+        return {
+            id,
+            score: this.getScore(id),
+            requests: entry.samples.length,
+            successRate: this.getSuccessRate(id),
+            disabled: this.isDisabled(id),
+            ttfb: {
+                mean: this.getWeightedMean(id, 'ttfb'),
+                histogram: this.getHistogram(id, 'ttfb')
+            },
+            throughput: {
+                mean: this.getThroughput(id),
+                histogram: this.getHistogram(id, 'throughput')
+            },
+            errors,
+            hourly
+        };
+    }
+
+    /**
+     * Summaries for every known gateway, best first
+     * @returns {Object[]} - Health summaries
+     */
+    getReport() {
+        return Array.from(this.gateways.keys())
+            .map(id => this.getSummary(id))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Temporarily exclude a gateway
+     * @param {string} id - Gateway ID
+     * @param {number} duration - Duration in ms
+     */
+    disable(id, duration = GATEWAY_HEALTH.DISABLE_DURATION) {
+        this.getEntry(id).disabledUntil = Date.now() + duration;
+        this.scheduleSave();
+    }
+
+    /**
+     * Check if a gateway is currently excluded
+     * @param {string} id - Gateway ID
+     * @returns {boolean} - Whether the gateway is disabled
+     */
+    isDisabled(id) {
+        return this.getEntry(id).disabledUntil > Date.now();
+    }
+
+    /**
+     * Drop samples whose weight has decayed to nothing
+     */
+    prune() {
+        const now = Date.now();
+        for (const entry of this.gateways.values()) {
+            entry.samples = entry.samples.filter(sample =>
+                this.getWeight(sample, now) >= GATEWAY_HEALTH.MIN_WEIGHT
+            );
+        }
+    }
+
+    /**
+     * Load history from storage
+     */
+    load() {
+        try {
+            const cached = localStorage.getItem(GATEWAY_HEALTH.STORAGE_KEY);
+            if (cached) {
+                this.gateways = new Map(JSON.parse(cached));
+                this.prune();
+            }
+            // Superseded by this store
+            localStorage.removeItem('providerCache');
+        } catch (error) {
+            console.warn('Failed to load gateway health:', error);
+        }
+    }
+
+    /**
+     * Save soon, coalescing bursts of samples into one write
+     */
+    scheduleSave() {
+        if (this.saveTimeout) return;
+        this.saveTimeout = setTimeout(() => {
+            this.saveTimeout = null;
+            this.save();
+        }, GATEWAY_HEALTH.SAVE_DELAY);
+    }
+
+    /**
+     * Save history to storage
+     */
+    save() {
+        try {
+            this.prune();
+            localStorage.setItem(GATEWAY_HEALTH.STORAGE_KEY,
+                JSON.stringify(Array.from(this.gateways.entries()))
+            );
+        } catch (error) {
+            console.warn('Failed to save gateway health:', error);
+        }
+    }
+}
+
+// Create and export singleton instance
+const gatewayHealth = new GatewayHealth();
+export default gatewayHealth;
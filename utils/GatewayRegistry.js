@@ -0,0 +1,342 @@
+import eventEmitter from './EventEmitter.js';
+import { toCidV1 } from './cid.js';
+import { PROVIDERS, LOCAL_NODE } from '../config/config.js';
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const SAMPLE_CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+const KINDS = ['gateway', 'local'];
+
+/**
+ * Check that a string is an http(s) URL
+ * @param {string} value - URL to check
+ * @returns {boolean} - Whether the URL is valid
+ */
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Append encoded path segments to a gateway URL
+ * @param {string} base - Gateway URL for the root
+ * @param {string[]} path - Path segments
+ * @returns {string} - Full URL
+ */
+function appendPath(base, path) {
+    return path.length > 0
+        ? `${base.replace(/\/$/, '')}/${path.map(encodeURIComponent).join('/')}`
+        : base;
+}
+
+/**
+ * Validate a gateway definition
+ * @param {Object} gateway - { id, name, kind, template, apiUrl, headers, priority, enabled }
+ * @returns {string[]} - Validation problems, empty when valid
+ */
+export function validateGateway(gateway) {
+    const problems = [];
+
+    if (!gateway || typeof gateway !== 'object') {
+        return ['Gateway must be an object'];
+    }
+
+    if (typeof gateway.id !== 'string' || !gateway.id.trim()) {
+        problems.push('Gateway id is required');
+    }
+
+    if (gateway.kind !== undefined && !KINDS.includes(gateway.kind)) {
+        problems.push(`Gateway kind must be one of: ${KINDS.join(', ')}`);
+    }
+
+    if (typeof gateway.template !== 'string' || !gateway.template.includes('{cid}')) {
+        problems.push('URL template must contain {cid}');
+    } else if (!isHttpUrl(gateway.template.replace('{cid}', SAMPLE_CID))) {
+        problems.push(`URL template must be an http or https URL: ${gateway.template}`);
+    }
+
+    if (gateway.apiUrl !== undefined && !isHttpUrl(gateway.apiUrl)) {
+        problems.push(`RPC URL must be an http or https URL: ${gateway.apiUrl}`);
+    }
+
+    if (gateway.headers !== undefined) {
+        if (!gateway.headers || typeof gateway.headers !== 'object' || Array.isArray(gateway.headers)) {
+            problems.push('Headers must be an object');
+        } else {
+            for (const [name, value] of Object.entries(gateway.headers)) {
+                if (!HEADER_NAME.test(name)) {
+                    problems.push(`Invalid header name: ${name}`);
+                }
+                if (typeof value !== 'string') {
+                    problems.push(`Header ${name} must be a string`);
+                }
+            }
+        }
+    }
+
+    if (gateway.priority !== undefined && !Number.isFinite(gateway.priority)) {
+        problems.push('Priority must be a number');
+    }
+
+    return problems;
+}
+
+/**
+ * Runtime list of gateways with URL templates, persisted across sessions.
+ * Templates use {cid} for the content ID, e.g. https://{cid}.ipfs.host or
+ * https://host/ipfs/{cid}; a content path is appended after the CID.
+ * Gateways of kind 'local' point at a Kubo node and may also carry an RPC apiUrl.
+ */
+export class GatewayRegistry {
+    constructor() {
+        this.gateways = new Map();
+        this.load();
+    }
+
+    /**
+     * Built-in gateways from config
+     * @returns {Object[]} - Default gateway definitions
+     */
+    getDefaults() {
+        const defaults = PROVIDERS.list.map(id => ({
+            id,
+            name: PROVIDERS.displayNames[id] || id,
+            kind: 'gateway',
+            template: PROVIDERS.templates[id],
+            headers: {},
+            priority: 0,
+            enabled: true
+        }));
+
+        if (LOCAL_NODE.ENABLED) {
+            defaults.unshift(this.createLocalGateway());
+        }
+        return defaults;
+    }
+
+    /**
+     * Build a local Kubo node gateway definition
+     * @param {Object} options - { id, name, gatewayUrl, apiUrl }
+     * @returns {Object} - Gateway definition
+     */
+    createLocalGateway({
+        id = LOCAL_NODE.ID,
+        name = LOCAL_NODE.NAME,
+        gatewayUrl = LOCAL_NODE.GATEWAY_URL,
+        apiUrl = LOCAL_NODE.API_URL
+    } = {}) {
+        return {
+            id,
+            name,
+            kind: 'local',
+            template: `${gatewayUrl.replace(/\/$/, '')}/ipfs/{cid}`,
+            apiUrl,
+            headers: {},
+            priority: 0,
+            enabled: true
+        };
+    }
+
+    /**
+     * Normalise a gateway definition, throwing if it is invalid
+     * @param {Object} gateway - Gateway definition
+     * @returns {Object} - Normalised gateway
+     */
+    normalize(gateway) {
+        const problems = validateGateway(gateway);
+        if (problems.length > 0) {
+            throw new Error(`Invalid gateway: ${problems.join('; ')}`);
+        }
+
+        return {
+            id: gateway.id.trim(),
+            name: gateway.name || gateway.id.trim(),
+            kind: gateway.kind || 'gateway',
+            template: gateway.template,
+            apiUrl: gateway.apiUrl,
+            headers: { ...(gateway.headers || {}) },
+            priority: gateway.priority ?? 0,
+            enabled: gateway.enabled !== false
+        };
+    }
+
+    /**
+     * Get all gateways, highest priority first
+     * @returns {Object[]} - Gateway definitions
+     */
+    getGateways() {
+        return Array.from(this.gateways.values())
+            .sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * Get a gateway by ID
+     * @param {string} id - Gateway ID
+     * @returns {Object|null} - Gateway definition
+     */
+    getGateway(id) {
+        return this.gateways.get(id) || null;
+    }
+
+    /**
+     * Add a gateway
+     * @param {Object} gateway - Gateway definition
+     * @returns {Object} - Normalised gateway
+     */
+    addGateway(gateway) {
+        const normalized = this.normalize(gateway);
+        if (this.gateways.has(normalized.id)) {
+            throw new Error(`Gateway ${normalized.id} already exists`);
+        }
+
+        this.gateways.set(normalized.id, normalized);
+        this.commit();
+        return normalized;
+    }
+
+    /**
+     * Update an existing gateway
+     * @param {string} id - Gateway ID
+     * @param {Object} changes - Fields to change (id cannot change)
+     * @returns {Object} - Updated gateway
+     */
+    updateGateway(id, changes) {
+        const current = this.gateways.get(id);
+        if (!current) {
+            throw new Error(`Unknown gateway: ${id}`);
+        }
+
+        const updated = this.normalize({ ...current, ...changes, id });
+        this.gateways.set(id, updated);
+        this.commit();
+        return updated;
+    }
+
+    /**
+     * Remove a gateway
+     * @param {string} id - Gateway ID
+     */
+    removeGateway(id) {
+        if (this.gateways.delete(id)) {
+            this.commit();
+        }
+    }
+
+    /**
+     * Reorder gateways by assigning descending priorities
+     * @param {string[]} ids - Gateway IDs in the desired order
+     */
+    reorder(ids) {
+        const unknown = ids.filter(id => !this.gateways.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown gateways: ${unknown.join(', ')}`);
+        }
+
+        ids.forEach((id, index) => {
+            this.gateways.get(id).priority = ids.length - index;
+        });
+        this.commit();
+    }
+
+    /**
+     * Restore the built-in gateway list
+     */
+    reset() {
+        this.gateways = new Map(this.getDefaults().map(gateway => [gateway.id, gateway]));
+        this.commit();
+    }
+
+    /**
+     * Build the URL for content on a gateway
+     * @param {string} id - Gateway ID
+     * @param {string} contentPath - CID, optionally followed by /path/inside
+     * @returns {string} - Gateway URL
+     */
+    buildUrl(id, contentPath) {
+        const gateway = this.gateways.get(id);
+        if (!gateway) {
+            throw new Error(`Unknown gateway: ${id}`);
+        }
+
+        const [cid, ...path] = contentPath.split('/');
+        // Subdomain gateways need a case-insensitive CIDv1 in the host name
+        const hostCid = gateway.template.includes('{cid}.') ? toCidV1(cid) : cid;
+        return appendPath(gateway.template.replace('{cid}', hostCid), path);
+    }
+
+    /**
+     * Build the /ipns/ URL for a name on a gateway
+     * @param {string} id - Gateway ID
+     * @param {string} namePath - IPNS name or DNSLink domain, optionally followed by /path/inside
+     * @returns {string|null} - Gateway URL, or null if the template has no IPNS equivalent
+     */
+    buildNameUrl(id, namePath) {
+        const gateway = this.gateways.get(id);
+        if (!gateway) {
+            throw new Error(`Unknown gateway: ${id}`);
+        }
+
+        const [name, ...path] = namePath.split('/');
+        let base = null;
+        if (gateway.template.includes('/ipfs/{cid}')) {
+            base = gateway.template.replace('/ipfs/{cid}', `/ipns/${name}`);
+        } else if (gateway.template.includes('{cid}.ipfs.')) {
+            // DNSLink names become a single DNS label: '-' doubles, '.' becomes '-'
+            const label = name.replace(/-/g, '--').replace(/\./g, '-');
+            base = gateway.template.replace('{cid}.ipfs.', `${label}.ipns.`);
+        }
+
+        return base && appendPath(base, path);
+    }
+
+    /**
+     * Persist and announce a change
+     */
+    commit() {
+        this.save();
+        eventEmitter.emit('gateways:changed', this.getGateways());
+    }
+
+    /**
+     * Load gateways from storage, falling back to the defaults
+     */
+    load() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(PROVIDERS.STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.warn('Failed to load gateway list:', error);
+        }
+
+        for (const gateway of Array.isArray(stored) ? stored : []) {
+            try {
+                const normalized = this.normalize(gateway);
+                this.gateways.set(normalized.id, normalized);
+            } catch (error) {
+                console.warn('Ignoring stored gateway:', error.message);
+            }
+        }
+
+        if (this.gateways.size === 0) {
+            this.gateways = new Map(this.getDefaults().map(gateway => [gateway.id, gateway]));
+        }
+    }
+
+    /**
+     * Save gateways to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(PROVIDERS.STORAGE_KEY, JSON.stringify(this.getGateways()));
+        } catch (error) {
+            console.warn('Failed to save gateway list:', error);
+        }
+    }
+}
+
+// Create and export singleton instance
+const gatewayRegistry = new GatewayRegistry();
+export default gatewayRegistry;
@@ -0,0 +1,159 @@
+import eventEmitter from './EventEmitter.js';
+import gatewayRegistry from './GatewayRegistry.js';
+import { LOCAL_NODE } from '../config/config.js';
+
+// Empty UnixFS directory, which every Kubo node can serve without fetching
+const EMPTY_DIR_CID = 'bafybeiczsscdsbs7ffqz55asqdf3smv6klcw3gofszvwlyarci47bgf354';
+
+/**
+ * Tracks whether local IPFS nodes (Kubo) are reachable and talks to their RPC API
+ */
+export class LocalNode {
+    constructor() {
+        this.status = new Map();
+        this.probeInterval = null;
+    }
+
+    /**
+     * Start probing local gateways periodically
+     */
+    start() {
+        if (this.probeInterval) return;
+        this.probeAll();
+        this.probeInterval = setInterval(() => this.probeAll(), LOCAL_NODE.PROBE_INTERVAL);
+
+        eventEmitter.on('gateways:changed', () => this.probeAll());
+    }
+
+    /**
+     * Stop periodic probing
+     */
+    stop() {
+        clearInterval(this.probeInterval);
+        this.probeInterval = null;
+    }
+
+    /**
+     * Get configured local gateways
+     * @returns {Object[]} - Gateways of kind 'local'
+     */
+    getLocalGateways() {
+        return gatewayRegistry.getGateways()
+            .filter(gateway => gateway.kind === 'local' && gateway.enabled);
+    }
+
+    /**
+     * Check whether a local gateway answered its last probe
+     * @param {string} id - Gateway ID
+     * @returns {boolean} - Whether the node is reachable
+     */
+    isReachable(id) {
+        return this.status.get(id)?.reachable === true;
+    }
+
+    /**
+     * Get the first reachable local gateway
+     * @returns {Object|null} - Gateway definition
+     */
+    getReachableGateway() {
+        return this.getLocalGateways().find(gateway => this.isReachable(gateway.id)) || null;
+    }
+
+    /**
+     * Probe every local gateway
+     * @returns {Promise<void>}
+     */
+    async probeAll() {
+        await Promise.all(this.getLocalGateways().map(gateway => this.probe(gateway)));
+    }
+
+    /**
+     * Probe a local node through its RPC API, then its gateway
+     * @param {Object} gateway - Gateway definition
+     * @returns {Promise<boolean>} - Whether the node is reachable
+     */
+    async probe(gateway) {
+        let reachable = false;
+
+        if (gateway.apiUrl) {
+            try {
+                await this.rpc('version', {}, gateway, { timeout: LOCAL_NODE.PROBE_TIMEOUT });
+                reachable = true;
+            } catch (error) {
+                // RPC may be closed or lack CORS headers; the gateway can still work
+            }
+        }
+
+        if (!reachable) {
+            try {
+                const response = await this.request(gatewayRegistry.buildUrl(gateway.id, EMPTY_DIR_CID), {
+                    method: 'HEAD'
+                });
+                reachable = response.ok;
+            } catch (error) {
+                reachable = false;
+            }
+        }
+
+        const previous = this.status.get(gateway.id);
+        this.status.set(gateway.id, { reachable, checkedAt: Date.now() });
+
+        if (previous?.reachable !== reachable) {
+            eventEmitter.emit('local-node:status', { id: gateway.id, reachable });
+        }
+
+        return reachable;
+    }
+
+    /**
+     * Call a Kubo RPC command
+     * @param {string} command - Command path, e.g. 'version' or 'name/resolve'
+     * @param {Object} params - Query parameters (arrays repeat the key)
+     * @param {Object} [gateway] - Local gateway, defaults to the first reachable one
+     * @param {Object} options - Extra fetch options (body, signal, timeout)
+     * @returns {Promise<Response>} - RPC response
+     */
+    async rpc(command, params = {}, gateway = this.getReachableGateway(), options = {}) {
+        const { timeout = LOCAL_NODE.RPC_TIMEOUT, ...fetchOptions } = options;
+        if (!gateway?.apiUrl) {
+            throw new Error('No local node RPC available');
+        }
+
+        const url = new URL(`/api/v0/${command}`, gateway.apiUrl);
+        for (const [key, value] of Object.entries(params)) {
+            for (const item of [].concat(value)) {
+                url.searchParams.append(key, item);
+            }
+        }
+
+        // Kubo only accepts POST on the RPC API
+        const response = await this.request(url.toString(), { ...fetchOptions, method: 'POST' }, timeout);
+        if (!response.ok) {
+            throw new Error(`RPC ${command} failed: HTTP ${response.status}`);
+        }
+        return response;
+    }
+
+    /**
+     * Fetch with a timeout
+     * @param {string} url - Request URL
+     * @param {Object} options - Fetch options
+     * @param {number} timeoutMs - Timeout in ms
+     * @returns {Promise<Response>} - Response
+     */
+    async request(url, options = {}, timeoutMs = LOCAL_NODE.PROBE_TIMEOUT) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), timeoutMs);
+        options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+}
+
+// Create and export singleton instance
+const localNode = new LocalNode();
+export default localNode;
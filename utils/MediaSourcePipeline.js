@@ -0,0 +1,232 @@
+import eventEmitter from './EventEmitter.js';
+
+/**
+ * Owns a MediaSource/SourceBuffer pair attached to a video element and
+ * serialises appends and removals through a single queue
+ */
+export class MediaSourcePipeline {
+    constructor(videoElement) {
+        this.video = videoElement;
+        this.mediaSource = null;
+        this.sourceBuffer = null;
+        this.objectUrl = null;
+        this.mimeType = null;
+        this.queue = Promise.resolve();
+        this.bufferedBytes = 0;
+        this.disposed = false;
+    }
+
+    /**
+     * Check whether MSE can play the given type in this browser
+     * @param {string} mimeType - MIME type with codecs
+     * @returns {boolean} - Whether the type is supported
+     */
+    static isSupported(mimeType) {
+        return typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported(mimeType);
+    }
+
+    /**
+     * Create the MediaSource, attach it to the video and add a SourceBuffer
+     * @param {string} mimeType - MIME type with codecs
+     * @returns {Promise<void>}
+     */
+    async open(mimeType) {
+        this.mimeType = mimeType;
+        this.mediaSource = new MediaSource();
+        this.objectUrl = URL.createObjectURL(this.mediaSource);
+
+        await new Promise((resolve, reject) => {
+            this.mediaSource.addEventListener('sourceopen', resolve, { once: true });
+            this.video.addEventListener('error', () => reject(new Error('Failed to open MediaSource')), { once: true });
+            this.video.src = this.objectUrl;
+        });
+
+        this.sourceBuffer = this.mediaSource.addSourceBuffer(mimeType);
+        this.sourceBuffer.addEventListener('error', () => {
+            eventEmitter.emit('mse:error', {
+                error: new Error('SourceBuffer error'),
+                video: this.video,
+                mimeType
+            });
+        });
+    }
+
+    /**
+     * Run an operation on the SourceBuffer once it is idle
+     * @param {Function} operation - Operation that triggers an update
+     * @returns {Promise<void>}
+     */
+    enqueue(operation) {
+        const run = () => new Promise((resolve, reject) => {
+            if (this.disposed || !this.sourceBuffer) {
+                resolve();
+                return;
+            }
+
+            const onUpdateEnd = () => {
+                this.sourceBuffer.removeEventListener('error', onError);
+                resolve();
+            };
+            const onError = () => {
+                this.sourceBuffer.removeEventListener('updateend', onUpdateEnd);
+                reject(new Error('SourceBuffer update failed'));
+            };
+
+            this.sourceBuffer.addEventListener('updateend', onUpdateEnd, { once: true });
+            this.sourceBuffer.addEventListener('error', onError, { once: true });
+
+            try {
+                operation(this.sourceBuffer);
+            } catch (error) {
+                this.sourceBuffer.removeEventListener('updateend', onUpdateEnd);
+                this.sourceBuffer.removeEventListener('error', onError);
+                reject(error);
+            }
+        });
+
+        this.queue = this.queue.then(run, run);
+        return this.queue;
+    }
+
+    /**
+     * Append media bytes, evicting played data if the browser runs out of quota
+     * @param {ArrayBuffer} data - Media bytes
+     * @returns {Promise<void>}
+     */
+    async append(data) {
+        try {
+            await this.enqueue(sourceBuffer => sourceBuffer.appendBuffer(data));
+        } catch (error) {
+            if (error.name !== 'QuotaExceededError') {
+                throw error;
+            }
+            await this.evictBefore(this.video.currentTime);
+            await this.enqueue(sourceBuffer => sourceBuffer.appendBuffer(data));
+        }
+        this.bufferedBytes += data.byteLength;
+    }
+
+    /**
+     * Remove buffered media before a given time
+     * @param {number} time - Time in seconds
+     * @returns {Promise<void>}
+     */
+    async evictBefore(time) {
+        const start = this.getBufferedStart();
+        if (start === null || time <= start) {
+            return;
+        }
+
+        const duration = this.getBufferedDuration();
+        const removedRatio = duration > 0 ? Math.min((time - start) / duration, 1) : 0;
+
+        await this.enqueue(sourceBuffer => sourceBuffer.remove(start, time));
+        this.bufferedBytes = Math.round(this.bufferedBytes * (1 - removedRatio));
+    }
+
+    /**
+     * Remove buffered media after a given time
+     * @param {number} time - Time in seconds
+     * @returns {Promise<void>}
+     */
+    async evictAfter(time) {
+        const buffered = this.sourceBuffer?.buffered;
+        const end = buffered && buffered.length ? buffered.end(buffered.length - 1) : null;
+        if (end === null || time >= end) {
+            return;
+        }
+
+        let removed = 0;
+        for (let i = 0; i < buffered.length; i++) {
+            removed += Math.max(buffered.end(i) - Math.max(buffered.start(i), time), 0);
+        }
+        const duration = this.getBufferedDuration();
+        const removedRatio = duration > 0 ? Math.min(removed / duration, 1) : 0;
+
+        await this.enqueue(sourceBuffer => sourceBuffer.remove(time, end));
+        this.bufferedBytes = Math.round(this.bufferedBytes * (1 - removedRatio));
+    }
+
+    /**
+     * Get the start of the first buffered range
+     * @returns {number|null} - Start time in seconds
+     */
+    getBufferedStart() {
+        const buffered = this.sourceBuffer?.buffered;
+        return buffered && buffered.length ? buffered.start(0) : null;
+    }
+
+    /**
+     * Get the total buffered duration
+     * @returns {number} - Duration in seconds
+     */
+    getBufferedDuration() {
+        const buffered = this.sourceBuffer?.buffered;
+        let total = 0;
+        for (let i = 0; buffered && i < buffered.length; i++) {
+            total += buffered.end(i) - buffered.start(i);
+        }
+        return total;
+    }
+
+    /**
+     * Set the presentation duration so the whole timeline is seekable before
+     * its media is appended
+     * @param {number} duration - Duration in seconds
+     */
+    setDuration(duration) {
+        if (this.mediaSource?.readyState === 'open' && !this.sourceBuffer?.updating &&
+            Number.isFinite(duration) && duration > 0) {
+            this.mediaSource.duration = duration;
+        }
+    }
+
+    /**
+     * Switch the SourceBuffer to another codec once pending operations finish
+     * @param {string} mimeType - MIME type with codecs
+     * @returns {Promise<void>}
+     */
+    async changeType(mimeType) {
+        await this.queue.catch(() => {});
+        if (!this.sourceBuffer) {
+            return;
+        }
+        if (typeof this.sourceBuffer.changeType !== 'function') {
+            throw new Error('SourceBuffer.changeType is not supported');
+        }
+        this.sourceBuffer.changeType(mimeType);
+        this.mimeType = mimeType;
+    }
+
+    /**
+     * Signal that no more data will be appended
+     * @returns {Promise<void>}
+     */
+    async endOfStream() {
+        await this.queue.catch(() => {});
+        if (this.mediaSource?.readyState === 'open') {
+            this.mediaSource.endOfStream();
+        }
+    }
+
+    /**
+     * Dispose of resources
+     */
+    dispose() {
+        this.disposed = true;
+        if (this.mediaSource?.readyState === 'open') {
+            try {
+                this.sourceBuffer?.abort();
+            } catch (error) {
+                // SourceBuffer may already be detached
+            }
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+        }
+        this.mediaSource = null;
+        this.sourceBuffer = null;
+        this.objectUrl = null;
+        this.bufferedBytes = 0;
+    }
+}
@@ -0,0 +1,202 @@
+import gatewayRegistry from './GatewayRegistry.js';
+import localNode from './LocalNode.js';
+import { raceGateways } from './gatewayRace.js';
+import { VIDEO } from '../config/config.js';
+
+/**
+ * Convert a dag-json encoded dag-pb node into the metadata shape used by
+ * VideoSourceManager
+ * @param {Object} node - dag-json node
+ * @returns {Object|null} - { Links } or null when the node has no named links
+ */
+export function fromDagJson(node) {
+    const links = (node?.Links || [])
+        .filter(link => link.Name)
+        .map(link => ({
+            Name: link.Name,
+            Size: link.Tsize ?? link.Size ?? 0,
+            Hash: link.Hash?.['/'] ?? link.Hash
+        }));
+
+    return links.length > 0 ? { Links: links } : null;
+}
+
+/**
+ * Fetch a DAG node as dag-json from the gateways
+ * @param {string} cid - Content ID
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<Object|null>} - dag-json node, or null if no gateway returned one
+ */
+export async function fetchGatewayNode(cid, signal) {
+    return raceGateways(async (gateway, requestSignal) => {
+        const dagUrl = new URL(gatewayRegistry.buildUrl(gateway.id, cid));
+        dagUrl.searchParams.set('format', 'dag-json');
+
+        const response = await fetch(dagUrl.toString(), {
+            headers: { ...gateway.headers, Accept: 'application/vnd.ipld.dag-json' },
+            signal: requestSignal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }, signal);
+}
+
+/**
+ * Fetch a DAG node as dag-json through the local node's dag/get RPC
+ * @param {string} cid - Content ID
+ * @param {AbortSignal} [signal] - Abort signal
+ * @param {number} [timeout] - Timeout in ms
+ * @returns {Promise<Object|null>} - dag-json node, or null without a reachable node
+ */
+export async function fetchLocalNode(cid, signal, timeout = VIDEO.LOAD_TIMEOUT) {
+    if (!localNode.getReachableGateway()?.apiUrl) {
+        return null;
+    }
+
+    const response = await localNode.rpc('dag/get', { arg: cid }, undefined, { signal, timeout });
+    return response.json();
+}
+
+/**
+ * Read Content-Type/Content-Length with a gateway HEAD request
+ */
+export const gatewayHeadStrategy = {
+    name: 'gateway-head',
+
+    async resolve(cid, { signal } = {}) {
+        return raceGateways(async (gateway, requestSignal) => {
+            const response = await fetch(gatewayRegistry.buildUrl(gateway.id, cid), {
+                method: 'HEAD',
+                headers: gateway.headers,
+                signal: requestSignal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+            // HTML here is a directory listing; leave those to the dag-json strategy
+            if (!contentType || contentType === 'text/html') {
+                return null;
+            }
+
+            const size = Number(response.headers.get('content-length')) || 0;
+            return {
+                Data: [{ contentType, size }],
+                contentType,
+                size
+            };
+        }, signal);
+    }
+};
+
+/**
+ * List directory entries with a ?format=dag-json gateway request
+ */
+export const dagJsonStrategy = {
+    name: 'dag-json',
+
+    async resolve(cid, { signal } = {}) {
+        return fromDagJson(await fetchGatewayNode(cid, signal));
+    }
+};
+
+/**
+ * Read the DAG node through a local node's RPC API
+ */
+export const localNodeStrategy = {
+    name: 'local-node',
+
+    async resolve(cid, { signal } = {}) {
+        return fromDagJson(await fetchLocalNode(cid, signal));
+    }
+};
+
+/**
+ * Resolves CID metadata by trying a list of strategies in order.
+ * A strategy is an object with a name and resolve(cid, { signal }) that
+ * returns metadata or null when it can't tell.
+ */
+export class MetadataResolver {
+    constructor(strategies = [gatewayHeadStrategy, dagJsonStrategy, localNodeStrategy]) {
+        this.strategies = strategies;
+    }
+
+    /**
+     * Replace the strategy list
+     * @param {Object[]} strategies - Strategies in the order to try them
+     */
+    setStrategies(strategies) {
+        this.strategies = strategies;
+    }
+
+    /**
+     * Add a strategy
+     * @param {Object} strategy - Strategy to add
+     * @param {number} [index] - Position, defaults to last
+     */
+    addStrategy(strategy, index = this.strategies.length) {
+        this.strategies.splice(index, 0, strategy);
+    }
+
+    /**
+     * Resolve metadata for a CID
+     * @param {string} cid - Content ID
+     * @returns {Promise<Object>} - Metadata tagged with the strategy that produced it
+     */
+    async resolve(cid) {
+        const errors = [];
+
+        for (const strategy of this.strategies) {
+            const controller = new AbortController();
+            const timeout = setTimeout(() => controller.abort(), VIDEO.LOAD_TIMEOUT);
+
+            try {
+                const metadata = await strategy.resolve(cid, { signal: controller.signal });
+                if (metadata) {
+                    return { ...metadata, resolvedBy: strategy.name, timestamp: Date.now() };
+                }
+            } catch (error) {
+                errors.push(`${strategy.name}: ${error.name === 'AbortError' ? 'timed out' : error.message}`);
+            } finally {
+                clearTimeout(timeout);
+            }
+        }
+
+        throw new Error(`Could not resolve metadata for ${cid}${errors.length ? ` (${errors.join('; ')})` : ''}`);
+    }
+
+    /**
+     * Fetch a whole DAG node as dag-json, local node first
+     * @param {string} cid - Content ID (dag-pb, dag-cbor or dag-json)
+     * @param {Object} options - { timeout }
+     * @returns {Promise<Object>} - dag-json node
+     */
+    async getNode(cid, { timeout = VIDEO.LOAD_TIMEOUT } = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            try {
+                const node = await fetchLocalNode(cid, controller.signal, timeout);
+                if (node) return node;
+            } catch (error) {
+                if (controller.signal.aborted) throw error;
+            }
+
+            const node = await fetchGatewayNode(cid, controller.signal);
+            if (!node) {
+                throw new Error(`No gateway returned ${cid}`);
+            }
+            return node;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Create and export singleton instance
+const metadataResolver = new MetadataResolver();
+export default metadataResolver;
@@ -0,0 +1,273 @@
+import eventEmitter from './EventEmitter.js';
+import gatewayRegistry from './GatewayRegistry.js';
+import localNode from './LocalNode.js';
+import { raceGateways } from './gatewayRace.js';
+import { isValidCid } from './cid.js';
+import { NAMES } from '../config/config.js';
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+const IPFS_PATH_PATTERN = /^\/ipfs\/([^/?#]+)/;
+// Extensions of files a player opens, read as a file name rather than a TLD when bare
+// (mp4, m3u8 and the like already fail the letters-only TLD of DOMAIN_PATTERN)
+const FILE_EXTENSIONS = ['webm', 'mov', 'mkv', 'avi', 'mpd', 'vtt', 'srt', 'jpg', 'jpeg', 'png', 'webp', 'avif', 'json', 'car'];
+
+/**
+ * Clamp a TTL into the configured bounds
+ * @param {number|null} ttl - TTL in ms
+ * @returns {number} - TTL in ms
+ */
+function clampTtl(ttl) {
+    if (!Number.isFinite(ttl)) {
+        return NAMES.DEFAULT_TTL;
+    }
+    return Math.min(Math.max(ttl, NAMES.MIN_TTL), NAMES.MAX_TTL);
+}
+
+/**
+ * Resolves IPNS names and DNSLink domains to CIDs.
+ * Resolutions are cached for their TTL and watched names are re-resolved when
+ * they expire, emitting 'name:updated' when the published CID changes.
+ */
+export class NameResolver {
+    constructor() {
+        this.cache = new Map();
+        this.pending = new Map();
+        this.watchers = new Map();
+        this.load();
+    }
+
+    /**
+     * Parse a mutable name reference.
+     * Accepts /ipns/<name>[/path], ipns://<name>[/path], dnslink:<domain>[/path]
+     * and bare DNSLink domains such as videos.example.com. A bare domain ending
+     * in a file extension (movie.webm) is taken for a file; dnslink: forces it.
+     * @param {string} input - Name reference
+     * @returns {Object|null} - { name, path } or null if the input is not a name
+     */
+    parse(input) {
+        if (typeof input !== 'string') return null;
+        const value = input.trim();
+
+        const match = /^(?:\/ipns\/|ipns:\/\/|dnslink:(?:\/\/)?)([^/?#]+)(\/[^?#]*)?/i.exec(value);
+        if (match) {
+            return { name: match[1], path: (match[2] || '').replace(/^\/+|\/+$/g, '') };
+        }
+
+        const [domain, ...path] = value.split('/');
+        const tld = domain.slice(domain.lastIndexOf('.') + 1).toLowerCase();
+        if (DOMAIN_PATTERN.test(domain) && !FILE_EXTENSIONS.includes(tld)) {
+            return { name: domain.toLowerCase(), path: path.filter(Boolean).join('/') };
+        }
+        return null;
+    }
+
+    /**
+     * Check whether an input refers to a mutable name
+     * @param {string} input - Source reference
+     * @returns {boolean} - Whether the input is an IPNS name or DNSLink domain
+     */
+    isName(input) {
+        return this.parse(input) !== null;
+    }
+
+    /**
+     * Resolve a name reference to a content path
+     * @param {string} input - Name reference
+     * @param {Object} options - { force } to bypass the cache
+     * @returns {Promise<Object>} - { name, cid, path, expiresAt, stale }
+     */
+    async resolve(input, { force = false } = {}) {
+        const parsed = this.parse(input);
+        if (!parsed) {
+            throw new Error(`Not an IPNS name or DNSLink domain: ${input}`);
+        }
+
+        const entry = await this.resolveName(parsed.name, force);
+        return {
+            name: parsed.name,
+            cid: entry.cid,
+            path: parsed.path ? `${entry.cid}/${parsed.path}` : entry.cid,
+            expiresAt: entry.expiresAt,
+            stale: entry.expiresAt <= Date.now()
+        };
+    }
+
+    /**
+     * Resolve a bare name, sharing in-flight lookups and falling back to an
+     * expired resolution when every lookup fails
+     * @param {string} name - IPNS name or DNSLink domain
+     * @param {boolean} force - Ignore a fresh cache entry
+     * @returns {Promise<Object>} - Cache entry { cid, resolvedAt, expiresAt }
+     */
+    async resolveName(name, force) {
+        const cached = this.cache.get(name);
+        if (!force && cached && cached.expiresAt > Date.now()) {
+            return cached;
+        }
+
+        if (!this.pending.has(name)) {
+            this.pending.set(name, this.lookup(name).finally(() => this.pending.delete(name)));
+        }
+
+        try {
+            const { cid, ttl } = await this.pending.get(name);
+            const entry = { cid, resolvedAt: Date.now(), expiresAt: Date.now() + clampTtl(ttl) };
+            this.cache.set(name, entry);
+            this.save();
+
+            if (cached && cached.cid !== cid) {
+                eventEmitter.emit('name:updated', { name, cid, previousCid: cached.cid });
+            }
+            return entry;
+        } catch (error) {
+            if (cached) {
+                console.warn(`Using expired resolution for ${name}:`, error.message);
+                return cached;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Look a name up through the local node, then the gateways
+     * @param {string} name - IPNS name or DNSLink domain
+     * @returns {Promise<Object>} - { cid, ttl }
+     */
+    async lookup(name) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), NAMES.RESOLVE_TIMEOUT);
+
+        try {
+            if (localNode.getReachableGateway()?.apiUrl) {
+                try {
+                    return await this.lookupWithLocalNode(name, controller.signal);
+                } catch (error) {
+                    console.warn(`Local node could not resolve ${name}:`, error.message);
+                }
+            }
+
+            const result = await raceGateways(
+                (gateway, signal) => this.lookupWithGateway(name, gateway, signal),
+                controller.signal
+            );
+            if (!result) {
+                throw new Error(`Could not resolve ${name}`);
+            }
+            return result;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Resolve through the local node's name/resolve RPC
+     * @param {string} name - IPNS name or DNSLink domain
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<Object>} - { cid, ttl }
+     */
+    async lookupWithLocalNode(name, signal) {
+        const response = await localNode.rpc('name/resolve', {
+            arg: `/ipns/${name}`,
+            recursive: true
+        }, undefined, { signal, timeout: NAMES.RESOLVE_TIMEOUT });
+
+        const { Path } = await response.json();
+        const match = IPFS_PATH_PATTERN.exec(Path || '');
+        if (!match || !isValidCid(match[1])) {
+            throw new Error(`Unexpected resolution: ${Path}`);
+        }
+        // The RPC does not report the record TTL
+        return { cid: match[1], ttl: null };
+    }
+
+    /**
+     * Resolve through a gateway's /ipns/ endpoint, reading the root CID from
+     * X-Ipfs-Roots (or X-Ipfs-Path) and the TTL from Cache-Control
+     * @param {string} name - IPNS name or DNSLink domain
+     * @param {Object} gateway - Gateway definition
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<Object|null>} - { cid, ttl }, or null if the gateway can't tell
+     */
+    async lookupWithGateway(name, gateway, signal) {
+        const url = gatewayRegistry.buildNameUrl(gateway.id, name);
+        if (!url) return null;
+
+        const response = await fetch(url, { method: 'HEAD', headers: gateway.headers, signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const roots = response.headers.get('x-ipfs-roots');
+        const ipfsPath = IPFS_PATH_PATTERN.exec(response.headers.get('x-ipfs-path') || '');
+        const cid = roots?.split(',')[0].trim() || ipfsPath?.[1];
+        if (!cid || !isValidCid(cid)) return null;
+
+        const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+        return { cid, ttl: maxAge ? parseInt(maxAge[1], 10) * 1000 : null };
+    }
+
+    /**
+     * Keep a name fresh, re-resolving it each time its resolution expires
+     * @param {string} input - Name reference
+     */
+    watch(input) {
+        const parsed = this.parse(input);
+        if (!parsed || this.watchers.has(parsed.name)) return;
+
+        const schedule = () => {
+            const entry = this.cache.get(parsed.name);
+            const delay = entry ? Math.max(entry.expiresAt - Date.now(), NAMES.MIN_TTL) : NAMES.MIN_TTL;
+            this.watchers.set(parsed.name, setTimeout(async () => {
+                try {
+                    await this.resolveName(parsed.name, true);
+                } catch (error) {
+                    console.warn(`Failed to refresh ${parsed.name}:`, error.message);
+                }
+                if (this.watchers.has(parsed.name)) {
+                    schedule();
+                }
+            }, delay));
+        };
+        schedule();
+    }
+
+    /**
+     * Stop refreshing a name
+     * @param {string} input - Name reference
+     */
+    unwatch(input) {
+        const parsed = this.parse(input);
+        if (!parsed || !this.watchers.has(parsed.name)) return;
+        clearTimeout(this.watchers.get(parsed.name));
+        this.watchers.delete(parsed.name);
+    }
+
+    /**
+     * Load cached resolutions from storage
+     */
+    load() {
+        try {
+            const cached = localStorage.getItem(NAMES.STORAGE_KEY);
+            if (cached) {
+                this.cache = new Map(JSON.parse(cached));
+            }
+        } catch (error) {
+            console.warn('Failed to load name cache:', error);
+        }
+    }
+
+    /**
+     * Save cached resolutions to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(NAMES.STORAGE_KEY, JSON.stringify(Array.from(this.cache.entries())));
+        } catch (error) {
+            console.warn('Failed to save name cache:', error);
+        }
+    }
+}
+
+// Create and export singleton instance
+const nameResolver = new NameResolver();
+export default nameResolver;
@@ -0,0 +1,241 @@
+import eventEmitter from './EventEmitter.js';
+import { OFFLINE } from '../config/config.js';
+
+/**
+ * Stores whole videos in Cache Storage so they play without a network.
+ * Each download is one cache entry keyed by its content path; the size and
+ * save time travel in the entry's headers so the cache is the only index.
+ */
+export class OfflineStore {
+    constructor() {
+        this.downloads = new Map();
+    }
+
+    /**
+     * Check whether Cache Storage is available
+     * @returns {boolean} - Whether downloads can be stored
+     */
+    isSupported() {
+        return typeof caches !== 'undefined';
+    }
+
+    /**
+     * Build the cache key for a content path
+     * @param {string} cid - Content path
+     * @returns {string} - Cache key URL
+     */
+    getKey(cid) {
+        return new URL(`${OFFLINE.PATH_PREFIX}${cid}`, window.location.origin).toString();
+    }
+
+    /**
+     * Open the download cache
+     * @returns {Promise<Cache>} - Cache
+     */
+    open() {
+        return caches.open(OFFLINE.CACHE_NAME);
+    }
+
+    /**
+     * Download a video through the first provider that serves it
+     * @param {string} cid - Content path
+     * @param {Array} providers - Provider objects, best first
+     * @returns {Promise<number>} - Bytes stored
+     */
+    async download(cid, providers) {
+        if (!this.isSupported()) {
+            throw new Error('Offline storage is not supported in this browser');
+        }
+        if (this.downloads.has(cid)) {
+            throw new Error(`Already downloading ${cid}`);
+        }
+
+        const controller = new AbortController();
+        this.downloads.set(cid, controller);
+
+        try {
+            if (navigator.storage?.persist) {
+                // Without persistence the browser may evict downloads under pressure
+                await navigator.storage.persist().catch(() => false);
+            }
+
+            const response = await this.fetchFromProviders(cid, providers, controller.signal);
+            const total = Number(response.headers.get('content-length')) || null;
+            await this.checkQuota(total);
+
+            const size = await this.store(cid, response, total);
+            eventEmitter.emit('offline:saved', { cid, size });
+            return size;
+        } catch (error) {
+            eventEmitter.emit('offline:error', { cid, error });
+            throw error;
+        } finally {
+            this.downloads.delete(cid);
+        }
+    }
+
+    /**
+     * Fetch the full file, trying providers in order
+     * @param {string} cid - Content path
+     * @param {Array} providers - Provider objects
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<Response>} - Response
+     */
+    async fetchFromProviders(cid, providers, signal) {
+        let lastError = null;
+        for (const provider of providers) {
+            try {
+                return await provider.fetch(cid, undefined, undefined, { signal });
+            } catch (error) {
+                if (signal.aborted) throw error;
+                lastError = error;
+            }
+        }
+        throw lastError || new Error('No providers available');
+    }
+
+    /**
+     * Stream a response into the cache, reporting progress
+     * @param {string} cid - Content path
+     * @param {Response} response - Full file response
+     * @param {number|null} total - Expected size in bytes
+     * @returns {Promise<number>} - Bytes stored
+     */
+    async store(cid, response, total) {
+        let loaded = 0;
+        let lastReport = 0;
+        const progress = new TransformStream({
+            transform(chunk, controller) {
+                loaded += chunk.byteLength;
+                if (loaded - lastReport >= OFFLINE.PROGRESS_STEP) {
+                    lastReport = loaded;
+                    eventEmitter.emit('offline:progress', { cid, loaded, total });
+                }
+                controller.enqueue(chunk);
+            }
+        });
+
+        const cache = await this.open();
+        const headers = new Headers({
+            'Content-Type': response.headers.get('content-type') || 'application/octet-stream',
+            'X-Saved-At': String(Date.now())
+        });
+        if (total) {
+            headers.set('Content-Length', String(total));
+        }
+
+        await cache.put(this.getKey(cid), new Response(response.body.pipeThrough(progress), { headers }));
+        return loaded;
+    }
+
+    /**
+     * Make sure a download of the given size fits the storage quota
+     * @param {number|null} size - Expected size in bytes
+     * @returns {Promise<void>}
+     */
+    async checkQuota(size) {
+        if (!size) return;
+
+        const { usage, quota } = await this.getQuota();
+        if (quota && usage + size > quota) {
+            throw new Error(`Not enough storage: need ${size} bytes, ${quota - usage} available`);
+        }
+    }
+
+    /**
+     * Cancel a running download
+     * @param {string} cid - Content path
+     */
+    cancel(cid) {
+        this.downloads.get(cid)?.abort();
+    }
+
+    /**
+     * Check whether a download is running
+     * @param {string} cid - Content path
+     * @returns {boolean} - Whether the video is downloading
+     */
+    isDownloading(cid) {
+        return this.downloads.has(cid);
+    }
+
+    /**
+     * Get the stored copy of a video
+     * @param {string} cid - Content path
+     * @returns {Promise<Response|null>} - Cached response
+     */
+    async get(cid) {
+        if (!this.isSupported()) return null;
+
+        try {
+            const cache = await this.open();
+            return (await cache.match(this.getKey(cid))) || null;
+        } catch (error) {
+            console.warn('Failed to read offline copy:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a video is stored
+     * @param {string} cid - Content path
+     * @returns {Promise<boolean>} - Whether an offline copy exists
+     */
+    async has(cid) {
+        return (await this.get(cid)) !== null;
+    }
+
+    /**
+     * Delete a stored video
+     * @param {string} cid - Content path
+     * @returns {Promise<boolean>} - Whether a copy was deleted
+     */
+    async remove(cid) {
+        if (!this.isSupported()) return false;
+
+        const cache = await this.open();
+        const removed = await cache.delete(this.getKey(cid));
+        if (removed) {
+            eventEmitter.emit('offline:removed', { cid });
+        }
+        return removed;
+    }
+
+    /**
+     * List stored videos
+     * @returns {Promise<Object[]>} - [{ cid, size, type, savedAt }]
+     */
+    async list() {
+        if (!this.isSupported()) return [];
+
+        const cache = await this.open();
+        const prefix = this.getKey('');
+        const requests = await cache.keys();
+
+        return Promise.all(requests.map(async request => {
+            const response = await cache.match(request);
+            return {
+                cid: decodeURIComponent(request.url.slice(prefix.length)),
+                size: Number(response.headers.get('content-length')) || null,
+                type: response.headers.get('content-type'),
+                savedAt: Number(response.headers.get('x-saved-at')) || null
+            };
+        }));
+    }
+
+    /**
+     * Get storage usage for the origin
+     * @returns {Promise<Object>} - { usage, quota } in bytes, null when unknown
+     */
+    async getQuota() {
+        if (!navigator.storage?.estimate) {
+            return { usage: null, quota: null };
+        }
+        const { usage = null, quota = null } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+}
+
+// Create and export singleton instance
+const offlineStore = new OfflineStore();
+export default offlineStore;
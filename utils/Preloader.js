@@ -0,0 +1,159 @@
+import eventEmitter from './EventEmitter.js';
+import videoSourceManager from '../videoSources.js';
+import { readHead } from './RangeScheduler.js';
+import { PERFORMANCE } from '../config/config.js';
+
+/**
+ * Warms up the next queue item while the current one plays: resolves it,
+ * races the best providers for its first bytes and remembers the winner,
+ * so loading it only has to attach what is already here.
+ */
+export class Preloader {
+    constructor() {
+        this.pending = null;
+        this.failedSource = null;
+    }
+
+    /**
+     * Start preloading a source, replacing any other preload
+     * @param {string} source - Source reference (CID, path or name)
+     * @param {Array} providers - Provider objects, best first
+     * @returns {Promise<Object|null>} - Preloaded entry, or null if it failed or was cancelled
+     */
+    preload(source, providers) {
+        if (this.pending?.source === source) {
+            return this.pending.promise;
+        }
+        // Don't retry a failed source on every time update
+        if (this.failedSource === source) {
+            return Promise.resolve(null);
+        }
+
+        this.cancel();
+        const controller = new AbortController();
+        const entry = { source, controller, result: null };
+        entry.promise = this.run(source, providers, controller.signal)
+            .then(result => {
+                entry.result = result;
+                eventEmitter.emit('preload:ready', { source, provider: result.provider });
+                return result;
+            })
+            .catch(error => {
+                if (!controller.signal.aborted) {
+                    console.warn(`Preloading ${source} failed:`, error);
+                    this.failedSource = source;
+                }
+                if (this.pending === entry) {
+                    this.pending = null;
+                }
+                return null;
+            });
+
+        this.pending = entry;
+        return entry.promise;
+    }
+
+    /**
+     * Resolve a source and fetch its first bytes from the fastest provider
+     * @param {string} source - Source reference
+     * @param {Array} providers - Provider objects
+     * @param {AbortSignal} signal - Cancels the preload
+     * @returns {Promise<Object>} - { cid, playback, provider, head: { data, size } }
+     */
+    async run(source, providers, signal) {
+        const cid = await videoSourceManager.resolveSource(source);
+        if (!(await videoSourceManager.validateCid(cid))) {
+            throw new Error(`Invalid CID ${cid}`);
+        }
+        signal.throwIfAborted();
+
+        const playback = videoSourceManager.getPlaybackSource(cid);
+        const { provider, head } = await this.fetchHead(playback.path, providers, signal);
+        return { cid, playback, provider, head };
+    }
+
+    /**
+     * Race the leading providers for the first PERFORMANCE.PRELOAD.BYTES
+     * @param {string} path - Content path of the video file
+     * @param {Array} providers - Provider objects
+     * @param {AbortSignal} signal - Cancels the preload
+     * @returns {Promise<Object>} - { provider, head: { data, size } }
+     */
+    async fetchHead(path, providers, signal) {
+        const candidates = providers.slice(0, PERFORMANCE.PRELOAD.PROVIDERS);
+        if (candidates.length === 0) {
+            throw new Error('No providers available');
+        }
+
+        const race = new AbortController();
+        const abort = () => race.abort();
+        signal.addEventListener('abort', abort, { once: true });
+        const timer = setTimeout(abort, PERFORMANCE.PRELOAD.TIMEOUT);
+
+        try {
+            return await Promise.any(candidates.map(async provider => {
+                const response = await provider.fetch(path, 0, PERFORMANCE.PRELOAD.BYTES - 1, { signal: race.signal });
+                const { data, complete } = await readHead(response, PERFORMANCE.PRELOAD.BYTES);
+
+                // A provider that ignored the range is cut off after the head; its length gives the size
+                const match = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+                const length = response.status === 200 ? parseInt(response.headers.get('content-length'), 10) : NaN;
+                const size = match ? parseInt(match[1], 10) : complete ? data.byteLength : length;
+                if (!(size > 0)) {
+                    throw new Error(`${provider.name} sent no usable size for ${path}`);
+                }
+                return { provider: provider.id || provider.name, head: { data, size } };
+            }));
+        } catch (error) {
+            throw error instanceof AggregateError ? new Error(`No provider answered for ${path}`) : error;
+        } finally {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abort);
+            race.abort();
+        }
+    }
+
+    /**
+     * Hand over the preload for the source about to load, waiting for it if it
+     * is still running. Anything else that was preloading is cancelled.
+     * @param {string} source - Source being loaded
+     * @returns {Promise<Object|null>} - Preloaded entry, or null if there is none
+     */
+    async take(source) {
+        const entry = this.pending;
+        if (entry?.source !== source) {
+            this.cancel();
+            return null;
+        }
+
+        const result = await entry.promise;
+        if (this.pending === entry) {
+            this.pending = null;
+        }
+        return result;
+    }
+
+    /**
+     * Cancel the preload unless it is for one of the given sources
+     * @param {Array<string|null>} sources - Sources still worth preloading
+     */
+    retain(sources) {
+        if (this.pending && !sources.includes(this.pending.source)) {
+            this.cancel();
+        }
+    }
+
+    /**
+     * Cancel the running preload and drop its result
+     */
+    cancel() {
+        if (this.pending) {
+            this.pending.controller.abort();
+            this.pending = null;
+        }
+    }
+}
+
+// Create and export singleton instance
+const preloader = new Preloader();
+export default preloader;
@@ -0,0 +1,247 @@
+import eventEmitter from './EventEmitter.js';
+import gatewayHealth from './GatewayHealth.js';
+import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+
+/**
+ * Read at most a given number of bytes of a response, cancelling the rest
+ * @param {Response} response - Response
+ * @param {number} limit - Bytes wanted
+ * @returns {Promise<Object>} - { data: ArrayBuffer, complete } where complete
+ *   tells whether the body ended within the limit
+ */
+export async function readHead(response, limit) {
+    if (!response.body) {
+        return { data: await response.arrayBuffer(), complete: true };
+    }
+
+    const reader = response.body.getReader();
+    const head = new Uint8Array(limit);
+    let received = 0;
+
+    while (received < limit) {
+        const { done, value } = await reader.read();
+        if (done) {
+            return { data: head.slice(0, received).buffer, complete: true };
+        }
+        const part = value.subarray(0, limit - received);
+        head.set(part, received);
+        received += part.byteLength;
+    }
+
+    reader.cancel().catch(() => {});
+    return { data: head.buffer, complete: false };
+}
+
+/**
+ * Splits byte ranges of a CID across several gateways at once.
+ * Each provider gets ranges in proportion to its measured throughput and a
+ * range that stalls past its deadline is re-requested from another provider.
+ */
+export class RangeScheduler {
+    constructor(providers, options = {}) {
+        this.providers = providers;
+        this.chunkSize = options.chunkSize || VIDEO_SETTINGS.NETWORK.CHUNK_SIZE;
+        this.concurrency = options.concurrency || VIDEO_SETTINGS.NETWORK.CONCURRENT_CHUNKS;
+        this.stallTimeout = options.stallTimeout || VIDEO_SETTINGS.NETWORK.RANGE_STALL_TIMEOUT;
+        this.swarmSize = options.swarmSize || VIDEO_SETTINGS.NETWORK.SWARM_PROVIDERS;
+        this.inflight = new Map();
+    }
+
+    /**
+     * Gateway ID used by the health store
+     * @param {Object} provider - Provider object
+     * @returns {string} - Gateway ID
+     */
+    getId(provider) {
+        return provider.id || provider.name;
+    }
+
+    /**
+     * Estimate throughput for a provider, assuming unmeasured providers are as
+     * fast as the best one so they get a chance to prove themselves
+     * @param {Object} provider - Provider object
+     * @returns {number} - Bytes per millisecond
+     */
+    estimateThroughput(provider) {
+        const throughput = gatewayHealth.getThroughput(this.getId(provider));
+        if (throughput !== null) {
+            return throughput / 1000;
+        }
+
+        const known = this.providers
+            .map(candidate => gatewayHealth.getThroughput(this.getId(candidate)))
+            .filter(value => value !== null);
+        return known.length > 0
+            ? Math.max(...known) / 1000
+            : VIDEO_SETTINGS.NETWORK.MIN_BANDWIDTH / 8 / 1000;
+    }
+
+    /**
+     * Pick the provider expected to finish a range first
+     * @param {number} size - Range size in bytes
+     * @param {Set<Object>} excluded - Providers that already failed this range
+     * @returns {Object|null} - Provider or null if none left
+     */
+    selectProvider(size, excluded) {
+        const candidates = this.providers
+            .slice(0, Math.max(this.swarmSize, excluded.size + 1))
+            .filter(provider => !excluded.has(provider));
+
+        let best = null;
+        let bestTime = Infinity;
+
+        for (const provider of candidates) {
+            const inflight = this.inflight.get(provider) || 0;
+            const score = Math.max(gatewayHealth.getScore(this.getId(provider)), 0.05);
+            const expected = (inflight + 1) * size / this.estimateThroughput(provider) / score;
+            if (expected < bestTime) {
+                best = provider;
+                bestTime = expected;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Fetch a byte range, splitting it across providers
+     * @param {string} cid - Content ID
+     * @param {number} start - First byte
+     * @param {number} end - Last byte (inclusive)
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} - { data, size, status }
+     */
+    async fetchRange(cid, start, end, options = {}) {
+        const pieces = [];
+        for (let offset = start; offset <= end; offset += this.chunkSize) {
+            pieces.push([offset, Math.min(offset + this.chunkSize - 1, end)]);
+        }
+
+        if (pieces.length === 1) {
+            return this.fetchPiece(cid, start, end, options.signal);
+        }
+
+        const results = new Array(pieces.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < pieces.length) {
+                const index = next++;
+                const [pieceStart, pieceEnd] = pieces[index];
+                results[index] = await this.fetchPiece(cid, pieceStart, pieceEnd, options.signal);
+            }
+        };
+
+        await Promise.all(
+            Array.from({ length: Math.min(this.concurrency, pieces.length) }, worker)
+        );
+
+        const data = new Uint8Array(results.reduce((sum, result) => sum + result.data.byteLength, 0));
+        let offset = 0;
+        for (const result of results) {
+            data.set(new Uint8Array(result.data), offset);
+            offset += result.data.byteLength;
+        }
+
+        return { data: data.buffer, size: results[0].size, status: 206 };
+    }
+
+    /**
+     * Fetch a single range, moving it to another provider when it fails or stalls
+     * @param {string} cid - Content ID
+     * @param {number} start - First byte
+     * @param {number} end - Last byte (inclusive)
+     * @param {AbortSignal} [signal] - Caller abort signal
+     * @returns {Promise<Object>} - { data, size, status }
+     */
+    async fetchPiece(cid, start, end, signal) {
+        const excluded = new Set();
+        const size = end - start + 1;
+        let lastError = null;
+
+        while (true) {
+            if (signal?.aborted) {
+                throw new DOMException('Range request aborted', 'AbortError');
+            }
+
+            const provider = this.selectProvider(size, excluded);
+            if (!provider) {
+                throw lastError || new Error('No providers available');
+            }
+
+            try {
+                return await this.requestFromProvider(provider, cid, start, end, signal);
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw error;
+                }
+                lastError = error;
+                excluded.add(provider);
+            }
+        }
+    }
+
+    /**
+     * Request a range from one provider with a stall deadline
+     * @param {Object} provider - Provider object
+     * @param {string} cid - Content ID
+     * @param {number} start - First byte
+     * @param {number} end - Last byte (inclusive)
+     * @param {AbortSignal} [signal] - Caller abort signal
+     * @returns {Promise<Object>} - { data, size, status }
+     */
+    async requestFromProvider(provider, cid, start, end, signal) {
+        const size = end - start + 1;
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        const deadline = Math.max(this.stallTimeout, 3 * size / this.estimateThroughput(provider));
+        let stalled = false;
+        const timer = setTimeout(() => {
+            stalled = true;
+            controller.abort();
+        }, deadline);
+
+        this.inflight.set(provider, (this.inflight.get(provider) || 0) + 1);
+
+        try {
+            const response = await provider.fetch(cid, start, end, { signal: controller.signal });
+
+            let data;
+            let total;
+            if (response.status === 206) {
+                const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers.get('content-range') || '');
+                if (!match || parseInt(match[1], 10) !== start) {
+                    response.body?.cancel().catch(() => {});
+                    throw new Error(`Provider ${provider.name} sent the wrong range for ${start}-${end}`);
+                }
+                data = await response.arrayBuffer();
+                total = match[2] === '*' ? start + data.byteLength : parseInt(match[2], 10);
+            } else if (start === 0) {
+                // Gateway ignored the Range header and sent the whole file; its length gives the size
+                const head = await readHead(response, size);
+                data = head.data;
+                total = head.complete ? data.byteLength : parseInt(response.headers.get('content-length'), 10);
+                if (!(total > 0)) {
+                    throw new Error(`Provider ${provider.name} sent no usable size for ${cid}`);
+                }
+            } else {
+                throw new Error(`Provider ${provider.name} does not support range requests`);
+            }
+
+            return { data, size: total, status: response.status };
+        } catch (error) {
+            if (stalled) {
+                // The provider never sees its own abort as a failure, so record it here
+                gatewayHealth.record(this.getId(provider), { duration: deadline, error: 'timeout' });
+                eventEmitter.emit('range:stalled', { provider: provider.name, cid, start, end, deadline });
+                throw new Error(`Range ${start}-${end} stalled on ${provider.name}`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            this.inflight.set(provider, this.inflight.get(provider) - 1);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+}
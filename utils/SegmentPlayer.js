@@ -0,0 +1,295 @@
+import eventEmitter from './EventEmitter.js';
+import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+import { MediaSourcePipeline } from './MediaSourcePipeline.js';
+
+/**
+ * Plays segmented presentations (HLS, DASH) through MSE. A manifest exposes
+ * `variants` ({ bitrate, height, mimeType }) and `loadVariant(variant)`,
+ * which resolves to { init, segments: [{ path, range, time, duration }], duration }
+ * with content paths and optional { start, end } byte ranges. Segments are
+ * fetched through the provider list ahead of the playhead, and a variant
+ * switch takes effect from the end of what is already buffered.
+ */
+export class SegmentPlayer {
+    constructor(videoElement) {
+        this.video = videoElement;
+        this.pipeline = null;
+        this.manifest = null;
+        this.providers = [];
+        this.variant = null;
+        this.playlist = null;
+        this.nextIndex = 0;
+        this.needsInit = false;
+        this.loading = null;
+        this.filling = false;
+        this.handleTimeUpdate = () => this.fill();
+        this.handleSeeking = () => this.seek(this.video.currentTime);
+    }
+
+    /**
+     * Check whether a presentation is attached
+     * @returns {boolean} - Whether segments are being played
+     */
+    isAttached() {
+        return this.manifest !== null;
+    }
+
+    /**
+     * Attach a presentation and start with one of its variants
+     * @param {Object} manifest - Loaded manifest
+     * @param {Array} providers - Provider objects exposing fetch(path, start, end, options)
+     * @param {number} variantIndex - Index into manifest.variants
+     * @returns {Promise<boolean>} - Whether playback was set up
+     */
+    async attach(manifest, providers, variantIndex = 0) {
+        this.detach();
+        this.manifest = manifest;
+        this.providers = providers;
+
+        const variant = manifest.variants[variantIndex] || manifest.variants[0];
+        const playlist = await manifest.loadVariant(variant);
+        if (this.manifest !== manifest) {
+            return false;
+        }
+        if (!MediaSourcePipeline.isSupported(variant.mimeType)) {
+            throw new Error(`Unsupported stream type: ${variant.mimeType}`);
+        }
+
+        this.pipeline = new MediaSourcePipeline(this.video);
+        await this.pipeline.open(variant.mimeType);
+        this.pipeline.setDuration(playlist.duration);
+
+        this.variant = variant;
+        this.playlist = playlist;
+        this.needsInit = true;
+
+        // The first segment has to play before the source counts as working
+        await this.appendSegment(0);
+        this.nextIndex = 1;
+
+        this.video.addEventListener('timeupdate', this.handleTimeUpdate);
+        this.video.addEventListener('seeking', this.handleSeeking);
+        this.fill();
+        return true;
+    }
+
+    /**
+     * Stop playback of the presentation
+     */
+    detach() {
+        this.loading?.abort();
+        this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+        this.video.removeEventListener('seeking', this.handleSeeking);
+        if (this.pipeline) {
+            this.pipeline.dispose();
+            this.pipeline = null;
+        }
+        this.manifest = null;
+        this.variant = null;
+        this.playlist = null;
+        this.nextIndex = 0;
+    }
+
+    /**
+     * Append segments until VIDEO_SETTINGS.MSE.BUFFER_AHEAD seconds are buffered
+     * @returns {Promise<void>}
+     */
+    async fill() {
+        if (this.filling || !this.pipeline) {
+            return;
+        }
+
+        const pipeline = this.pipeline;
+        this.filling = true;
+
+        try {
+            while (this.pipeline === pipeline &&
+                this.nextIndex < this.playlist.segments.length &&
+                this.getBufferAhead() < VIDEO_SETTINGS.MSE.BUFFER_AHEAD) {
+                const index = this.nextIndex;
+                try {
+                    await this.appendSegment(index);
+                    // A seek or variant switch may have moved on meanwhile
+                    if (this.nextIndex === index) {
+                        this.nextIndex = index + 1;
+                    }
+                } catch (error) {
+                    if (error.name !== 'AbortError') {
+                        throw error;
+                    }
+                }
+            }
+
+            if (this.pipeline === pipeline && this.nextIndex >= this.playlist.segments.length) {
+                await pipeline.endOfStream();
+            }
+        } catch (error) {
+            if (this.pipeline === pipeline) {
+                eventEmitter.emit('mse:error', { error, video: this.video });
+            }
+        } finally {
+            this.filling = false;
+        }
+    }
+
+    /**
+     * Fetch and append one segment, preceded by the variant's init segment
+     * when the variant or codec just changed
+     * @param {number} index - Segment index
+     * @returns {Promise<void>}
+     */
+    async appendSegment(index) {
+        const pipeline = this.pipeline;
+
+        if (this.needsInit) {
+            const { init } = this.playlist;
+            const { mimeType } = this.variant;
+            const data = init ? await this.fetchSegment(init) : null;
+            if (pipeline.mimeType !== mimeType) {
+                await pipeline.changeType(mimeType);
+            }
+            if (data) {
+                await pipeline.append(data);
+            }
+            this.needsInit = false;
+        }
+
+        const segment = this.playlist.segments[index];
+        const requested = performance.now();
+        const data = await this.fetchSegment(segment);
+        eventEmitter.emit('chunk:loaded', {
+            start: segment.range?.start ?? 0,
+            size: data.byteLength,
+            duration: performance.now() - requested,
+            highPriority: this.getBufferAhead() < VIDEO_SETTINGS.MINIMUM_BUFFER
+        });
+
+        if (pipeline.bufferedBytes + data.byteLength > VIDEO_SETTINGS.MAX_BUFFER_SIZE) {
+            await pipeline.evictBefore(this.video.currentTime - VIDEO_SETTINGS.MSE.BUFFER_SIZE);
+        }
+        await pipeline.append(data);
+    }
+
+    /**
+     * Fetch a segment, trying providers in order
+     * @param {Object} segment - { path, range }
+     * @returns {Promise<ArrayBuffer>} - Segment bytes
+     */
+    async fetchSegment({ path, range }) {
+        const controller = new AbortController();
+        this.loading = controller;
+
+        try {
+            let lastError = null;
+            for (const provider of this.providers) {
+                try {
+                    const response = await provider.fetch(path, range?.start, range?.end, { signal: controller.signal });
+                    const data = await response.arrayBuffer();
+                    // A gateway that ignored the Range header sent the whole file
+                    return range && response.status !== 206 ? data.slice(range.start, range.end + 1) : data;
+                } catch (error) {
+                    if (controller.signal.aborted) {
+                        throw new DOMException('Segment request aborted', 'AbortError');
+                    }
+                    lastError = error;
+                }
+            }
+            throw lastError || new Error('No providers available');
+        } finally {
+            if (this.loading === controller) {
+                this.loading = null;
+            }
+        }
+    }
+
+    /**
+     * Continue fetching from a new playhead position
+     * @param {number} time - Position in seconds
+     */
+    seek(time) {
+        if (!this.playlist) return;
+
+        // Inside buffered media, carry on from the end of that range
+        const end = this.getBufferedEnd(time);
+        const index = this.findSegment(end ?? time);
+        if (index !== this.nextIndex) {
+            this.loading?.abort();
+            this.nextIndex = index;
+        }
+        this.fill();
+    }
+
+    /**
+     * Switch variant, keeping what is already buffered
+     * @param {number} variantIndex - Index into manifest.variants
+     * @returns {Promise<void>}
+     */
+    async switchVariant(variantIndex) {
+        const manifest = this.manifest;
+        const variant = manifest?.variants[variantIndex];
+        if (!variant || variant === this.variant) {
+            return;
+        }
+
+        const playlist = await manifest.loadVariant(variant);
+        if (this.manifest !== manifest) {
+            return;
+        }
+
+        this.loading?.abort();
+        this.variant = variant;
+        this.playlist = playlist;
+        this.needsInit = true;
+        this.nextIndex = this.findSegment(this.getBufferedEnd(this.video.currentTime) ?? this.video.currentTime);
+        this.fill();
+    }
+
+    /**
+     * Find the segment containing a time
+     * @param {number} time - Time in seconds
+     * @returns {number} - Segment index
+     */
+    findSegment(time) {
+        const { segments } = this.playlist;
+        // Small tolerance so a range ending on a boundary continues with the next segment
+        const index = segments.findIndex(segment => segment.time + segment.duration > time + 0.05);
+        return index === -1 ? segments.length : index;
+    }
+
+    /**
+     * Get the end of the buffered range containing a time
+     * @param {number} time - Time in seconds
+     * @returns {number|null} - End of the range, or null if the time isn't buffered
+     */
+    getBufferedEnd(time) {
+        const { buffered } = this.video;
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= time + 0.1 && time < buffered.end(i)) {
+                return buffered.end(i);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get seconds buffered ahead of the playhead
+     * @returns {number} - Seconds
+     */
+    getBufferAhead() {
+        const { currentTime } = this.video;
+        const end = this.getBufferedEnd(currentTime);
+        return end === null ? 0 : end - currentTime;
+    }
+
+    /**
+     * Dispose of resources
+     */
+    dispose() {
+        this.detach();
+    }
+}
+
+// Create and export factory function
+export function createSegmentPlayer(videoElement) {
+    return new SegmentPlayer(videoElement);
+}
@@ -0,0 +1,207 @@
+/**
+ * Adaptive bitrate strategies for QualityController. A strategy picks a level
+ * from the current metrics ({ bandwidth, bufferLevel, frameDrops }) and keeps
+ * the little state it needs to avoid oscillating: up-switches need headroom
+ * beyond what the level strictly requires, and automatic switches are spaced
+ * by VIDEO_SETTINGS.QUALITY.MIN_SWITCH_INTERVAL unless the buffer is running
+ * dry. Strategies never touch the video element or the event bus, and take
+ * the time as an argument, so they can be driven by simulated traces. A
+ * switch may itself empty the buffer, so for SWITCH_GRACE_PERIOD after one
+ * a low buffer doesn't count as running dry.
+ *
+ * - throughput: the highest level that fits in the measured bandwidth
+ * - bola: buffer occupancy decides, in the style of BOLA-BASIC
+ *   (Spiteri et al.), capped by bandwidth when switching up
+ * - hybrid: throughput while the buffer is building, bola once it is full
+ */
+import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+
+/**
+ * Shared switching rules; subclasses implement choose()
+ */
+export class AbrStrategy {
+    constructor(options = {}) {
+        const { QUALITY } = VIDEO_SETTINGS;
+        this.minSwitchInterval = options.minSwitchInterval ?? QUALITY.MIN_SWITCH_INTERVAL;
+        this.switchGracePeriod = options.switchGracePeriod ?? QUALITY.SWITCH_GRACE_PERIOD;
+        this.safetyFactor = options.safetyFactor ?? QUALITY.BANDWIDTH_SAFETY_FACTOR;
+        this.upSwitchMargin = options.upSwitchMargin ?? QUALITY.UP_SWITCH_MARGIN;
+        this.bufferLow = options.bufferLow ?? QUALITY.BUFFER_THRESHOLD_LOW;
+        this.bufferHigh = options.bufferHigh ?? QUALITY.BUFFER_THRESHOLD_HIGH;
+        this.lastSwitch = -Infinity;
+    }
+
+    /**
+     * Recommend a level, applying the switch-rate limit
+     * @param {Object[]} levels - Quality levels, lowest bitrate first
+     * @param {Object|null} current - Level playing now
+     * @param {Object} metrics - { bandwidth, bufferLevel, frameDrops }
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object|null} - Level to play, or null when there is nothing to go on
+     */
+    recommend(levels, current, metrics, now = Date.now()) {
+        const candidate = this.choose(levels, current, metrics);
+        if (!candidate || !current || candidate === current) {
+            return candidate;
+        }
+
+        // A draining buffer may step down early, once the last switch has had time to refill it;
+        // everything else waits its turn
+        const urgent = levels.indexOf(candidate) < levels.indexOf(current) &&
+            metrics.bufferLevel < this.bufferLow &&
+            now - this.lastSwitch >= this.switchGracePeriod;
+        if (!urgent && now - this.lastSwitch < this.minSwitchInterval) {
+            return current;
+        }
+
+        this.lastSwitch = now;
+        return candidate;
+    }
+
+    /**
+     * Note a switch made outside the strategy, such as a manual choice
+     * @param {number} [now] - Time of the switch in milliseconds
+     */
+    recordSwitch(now = Date.now()) {
+        this.lastSwitch = now;
+    }
+
+    /**
+     * Pick a level without regard to switch timing
+     * @param {Object[]} levels - Quality levels, lowest bitrate first
+     * @param {Object|null} current - Level playing now
+     * @param {Object} metrics - { bandwidth, bufferLevel, frameDrops }
+     * @returns {Object|null} - Level
+     */
+    choose(levels, current, metrics) {
+        throw new Error('choose() must be implemented by the strategy');
+    }
+
+    /**
+     * Get the highest level the bandwidth sustains. Levels above the current
+     * one must fit with UP_SWITCH_MARGIN to spare, so a bandwidth hovering
+     * around a level's bitrate doesn't flip between it and the next.
+     * @param {Object[]} levels - Quality levels, lowest bitrate first
+     * @param {Object|null} current - Level playing now
+     * @param {number} bandwidth - Bits per second
+     * @returns {Object} - Level
+     */
+    getSustainableLevel(levels, current, bandwidth) {
+        const currentIndex = levels.indexOf(current);
+        let sustainable = levels[0];
+
+        levels.forEach((level, index) => {
+            const margin = index > currentIndex ? 1 - this.upSwitchMargin : 1;
+            if (level.bitrate <= bandwidth * this.safetyFactor * margin) {
+                sustainable = level;
+            }
+        });
+        return sustainable;
+    }
+}
+
+/**
+ * The highest level that fits in the measured bandwidth, discounted for
+ * dropped frames, stepping down one level when the buffer runs low
+ */
+export class ThroughputStrategy extends AbrStrategy {
+    choose(levels, current, { bandwidth, bufferLevel, frameDrops = 0 }) {
+        // Without a bandwidth measurement there is nothing to adapt to yet
+        if (!(bandwidth > 0) || levels.length === 0) {
+            return null;
+        }
+
+        const effective = bandwidth * (1 - Math.min(frameDrops / 100, 0.5));
+        const recommended = this.getSustainableLevel(levels, current, effective);
+
+        const currentIndex = levels.indexOf(current);
+        if (bufferLevel < this.bufferLow && currentIndex > 0) {
+            return levels[Math.min(currentIndex - 1, levels.indexOf(recommended))];
+        }
+        return recommended;
+    }
+}
+
+/**
+ * BOLA-BASIC: each level's utility is the log of its bitrate relative to the
+ * lowest, and the level maximising (V * (utility + gamma) - buffer) / bitrate
+ * is played, so the lowest level is chosen at BUFFER_THRESHOLD_LOW seconds
+ * of buffer and the highest from BUFFER_THRESHOLD_HIGH. Up-switches are
+ * capped at the bandwidth-sustainable level once bandwidth is known, which
+ * stops the buffer-driven choice from overshooting the network.
+ */
+export class BolaStrategy extends AbrStrategy {
+    choose(levels, current, { bandwidth, bufferLevel }) {
+        if (levels.length === 0) {
+            return null;
+        }
+
+        const lowest = levels[0].bitrate || 1;
+        const utilities = levels.map(level => Math.log((level.bitrate || lowest) / lowest) + 1);
+        const top = utilities[utilities.length - 1];
+
+        // Solve for gamma and V so the thresholds line up with the lowest and highest levels
+        const gamma = (top - 1) / Math.max(this.bufferHigh / this.bufferLow - 1, Number.EPSILON);
+        const v = this.bufferLow / gamma;
+
+        let chosen = levels[0];
+        let best = -Infinity;
+        levels.forEach((level, index) => {
+            const score = (v * (utilities[index] + gamma) - bufferLevel) / (level.bitrate || lowest);
+            if (score >= best) {
+                best = score;
+                chosen = level;
+            }
+        });
+
+        const currentIndex = levels.indexOf(current);
+        if (current && levels.indexOf(chosen) > currentIndex && bandwidth > 0) {
+            const sustainable = this.getSustainableLevel(levels, current, bandwidth);
+            return levels[Math.max(currentIndex, Math.min(levels.indexOf(chosen), levels.indexOf(sustainable)))];
+        }
+        return chosen;
+    }
+}
+
+/**
+ * Throughput rules while the buffer is building and BOLA once it holds
+ * BUFFER_THRESHOLD_HIGH seconds, returning to throughput only when it falls
+ * below BUFFER_THRESHOLD_LOW so the mode doesn't flap in between
+ */
+export class HybridStrategy extends AbrStrategy {
+    constructor(options = {}) {
+        super(options);
+        this.throughput = new ThroughputStrategy(options);
+        this.bola = new BolaStrategy(options);
+        this.mode = 'throughput';
+    }
+
+    choose(levels, current, metrics) {
+        if (this.mode === 'throughput' && metrics.bufferLevel >= this.bufferHigh) {
+            this.mode = 'bola';
+        } else if (this.mode === 'bola' && metrics.bufferLevel < this.bufferLow) {
+            this.mode = 'throughput';
+        }
+        return this[this.mode].choose(levels, current, metrics);
+    }
+}
+
+export const ABR_STRATEGIES = {
+    throughput: ThroughputStrategy,
+    bola: BolaStrategy,
+    hybrid: HybridStrategy
+};
+
+/**
+ * Create a strategy by name
+ * @param {string} name - 'throughput', 'bola' or 'hybrid'
+ * @param {Object} [options] - Overrides of the VIDEO_SETTINGS.QUALITY thresholds
+ * @returns {AbrStrategy} - Strategy
+ */
+export function createAbrStrategy(name, options = {}) {
+    const Strategy = ABR_STRATEGIES[name];
+    if (!Strategy) {
+        throw new Error(`Unknown ABR strategy: ${name}`);
+    }
+    return new Strategy(options);
+}
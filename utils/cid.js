@@ -0,0 +1,184 @@
+import {
+    CODECS,
+    decodeCid,
+    encodeCid,
+    encodeVarint
+} from './multiformats.js';
+
+export const CODEC_NAMES = {
+    0x55: 'raw',
+    0x70: 'dag-pb',
+    0x71: 'dag-cbor',
+    0x72: 'libp2p-key',
+    0x0129: 'dag-json',
+    0x0200: 'json',
+    0x0202: 'car'
+};
+
+export const HASH_NAMES = {
+    0x00: 'identity',
+    0x12: 'sha2-256',
+    0x13: 'sha2-512',
+    0x16: 'sha3-256',
+    0x1e: 'blake3',
+    0xb220: 'blake2b-256'
+};
+
+const IPFS_PATH_PATTERN = /^\/?ipfs\/([^/?#]+)(\/[^?#]*)?/i;
+const SUBDOMAIN_PATTERN = /^([a-z0-9]+)\.ipfs\./i;
+
+/**
+ * Parse and validate a CID string
+ * @param {string} input - CIDv0 (Qm…) or multibase CIDv1
+ * @returns {Object} - { cid, version, codec, codecName, hash, hashName, digestLength, bytes }
+ */
+export function parseCid(input) {
+    const value = typeof input === 'string' ? input.trim() : input;
+
+    let decoded;
+    try {
+        decoded = decodeCid(value);
+    } catch (error) {
+        throw new Error(`Invalid CID ${value}: ${error.message}`);
+    }
+
+    if (decoded.version === 0 && value.length !== 46) {
+        throw new Error(`Invalid CID ${value}: CIDv0 must be 46 characters`);
+    }
+
+    return {
+        cid: encodeCid(decoded),
+        version: decoded.version,
+        codec: decoded.codec,
+        codecName: CODEC_NAMES[decoded.codec] || `0x${decoded.codec.toString(16)}`,
+        hash: decoded.hashCode,
+        hashName: HASH_NAMES[decoded.hashCode] || `0x${decoded.hashCode.toString(16)}`,
+        digestLength: decoded.digest.length,
+        bytes: decoded.bytes
+    };
+}
+
+/**
+ * Check whether a string is a syntactically valid CID
+ * @param {string} input - Candidate CID
+ * @returns {boolean} - Whether the CID parses
+ */
+export function isValidCid(input) {
+    try {
+        parseCid(input);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Convert a CID to CIDv1 in lowercase base32, as subdomain gateways require
+ * @param {string} input - CID string
+ * @returns {string} - CIDv1 string
+ */
+export function toCidV1(input) {
+    const { version, bytes } = parseCid(input);
+    if (version === 1) {
+        return encodeCid({ version, bytes });
+    }
+
+    // CIDv0 is implicitly dag-pb: prefix the multihash with <version><codec>
+    const prefix = new Uint8Array([...encodeVarint(1), ...encodeVarint(CODECS.DAG_PB)]);
+    const v1 = new Uint8Array(prefix.length + bytes.length);
+    v1.set(prefix);
+    v1.set(bytes, prefix.length);
+    return encodeCid({ version: 1, bytes: v1 });
+}
+
+/**
+ * Normalise any reference to IPFS content into a content path.
+ * Accepts a bare CID, CID/path, ipfs://CID/path, /ipfs/CID/path and path or
+ * subdomain gateway URLs.
+ * @param {string} input - Content reference
+ * @returns {Object|null} - { cid, path, contentPath }, or null when the input
+ *   does not reference IPFS content or the CID is invalid
+ */
+export function parseContentPath(input) {
+    if (typeof input !== 'string') return null;
+    let value = input.trim();
+    let cid;
+    let path;
+
+    // URIs percent-encode their path; bare CID/paths are taken literally
+    const isUri = /^(ipfs|https?):\/\//i.test(value);
+    if (/^ipfs:\/\//i.test(value)) {
+        value = value.slice('ipfs://'.length);
+    }
+
+    if (/^https?:\/\//i.test(value)) {
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return null;
+        }
+
+        const subdomain = SUBDOMAIN_PATTERN.exec(url.hostname);
+        const pathMatch = IPFS_PATH_PATTERN.exec(url.pathname);
+        if (subdomain) {
+            cid = subdomain[1];
+            path = url.pathname;
+        } else if (pathMatch) {
+            [, cid, path] = pathMatch;
+        } else {
+            return null;
+        }
+    } else {
+        const pathMatch = IPFS_PATH_PATTERN.exec(value);
+        if (pathMatch) {
+            [, cid, path] = pathMatch;
+        } else {
+            [cid, ...path] = value.split('/');
+            path = path.join('/');
+        }
+    }
+
+    if (isUri) {
+        try {
+            path = decodeURIComponent(path || '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    let normalized;
+    try {
+        normalized = parseCid(cid).cid;
+    } catch (error) {
+        return null;
+    }
+
+    const cleanPath = (path || '').split('/').filter(Boolean).join('/');
+    return {
+        cid: normalized,
+        path: cleanPath,
+        contentPath: cleanPath ? `${normalized}/${cleanPath}` : normalized
+    };
+}
+
+/**
+ * Resolve a reference found inside a file (a playlist or manifest URI) against
+ * the content path of that file. Relative references stay inside its
+ * directory; absolute ones must point at IPFS content themselves.
+ * @param {string} reference - Relative path, /ipfs/ path, ipfs:// URI or gateway URL
+ * @param {string} base - Content path of the file containing the reference
+ * @returns {string|null} - Content path, or null when the reference leaves IPFS
+ */
+export function resolveContentPath(reference, base) {
+    if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(reference)) {
+        return parseContentPath(reference)?.contentPath || null;
+    }
+
+    // Let URL handle ./ and ../ within the CID; the CID itself is never left
+    const [cid, ...path] = base.split('/');
+    const directory = path.slice(0, -1).map(encodeURIComponent).join('/');
+    const url = new URL(reference, `https://content/${directory}${directory ? '/' : ''}`);
+    const resolved = decodeURIComponent(url.pathname).split('/').filter(Boolean).join('/');
+    return resolved ? `${cid}/${resolved}` : cid;
+}
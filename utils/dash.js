@@ -0,0 +1,482 @@
+/**
+ * MPEG-DASH manifests hosted on IPFS. The video representations of an MPD
+ * are turned into the variant/segment shape SegmentPlayer plays, with
+ * BaseURLs and segment URLs resolved to content paths so segments are
+ * fetched through the provider list. SegmentTemplate (numbered or with a
+ * SegmentTimeline), SegmentList and SegmentBase with a sidx index are read;
+ * only the first period of a static (on-demand) presentation is played, and
+ * only with its audio muxed into the video representations.
+ */
+import { parseContentPath } from './cid.js';
+import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+
+export const DASH_MIME_TYPE = 'application/dash+xml';
+
+// Codecs that show a video representation has its audio muxed in
+const AUDIO_CODECS = /(^|,)\s*(mp4a|opus|vorbis|flac|ac-3|ec-3)/i;
+
+/**
+ * Check whether a content path names a DASH manifest
+ * @param {string} path - Content path
+ * @returns {boolean} - Whether the path ends in .mpd
+ */
+export function isDashPath(path) {
+    return /\.mpd$/i.test(path || '');
+}
+
+/**
+ * Parse an ISO 8601 duration as used by MPDs: PT1H2M3.5S
+ * @param {string|null} value - Duration
+ * @returns {number|null} - Seconds
+ */
+export function parseDuration(value) {
+    const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+        .exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Parse a byte range attribute: start-end
+ * @param {string|null} value - Range
+ * @returns {Object|null} - { start, end } with an inclusive end
+ */
+function parseRange(value) {
+    const match = /^(\d+)-(\d+)$/.exec(value || '');
+    return match ? { start: Number(match[1]), end: Number(match[2]) } : null;
+}
+
+/**
+ * Get the child elements with a name, ignoring namespace prefixes
+ * @param {Element} element - Parent element
+ * @param {string} name - Local name
+ * @returns {Element[]} - Matching children
+ */
+function getChildren(element, name) {
+    return Array.from(element?.children || []).filter(child => child.localName === name);
+}
+
+/**
+ * Fill in a SegmentTemplate URL: $RepresentationID$, $Bandwidth$, $Number$
+ * and $Time$, optionally zero-padded as $Number%05d$
+ * @param {string} template - URL template
+ * @param {Object} values - Identifier values
+ * @returns {string} - URL
+ */
+export function expandTemplate(template, values) {
+    return template.replace(/\$(?:(RepresentationID|Bandwidth|Number|Time)(?:%0(\d+)d)?)?\$/g, (match, name, width) => {
+        if (!name) {
+            return '$';
+        }
+        const value = String(values[name]);
+        return width ? value.padStart(Number(width), '0') : value;
+    });
+}
+
+/**
+ * Expand a SegmentTimeline into segment start times and durations
+ * @param {Element} timeline - SegmentTimeline element
+ * @param {number} end - Period end in timescale units, for open-ended repeats
+ * @returns {Object[]} - [{ start, duration }] in timescale units
+ */
+function parseTimeline(timeline, end) {
+    const entries = [];
+    const items = getChildren(timeline, 'S');
+    let time = 0;
+
+    items.forEach((item, index) => {
+        const duration = Number(item.getAttribute('d'));
+        if (!(duration > 0)) return;
+
+        time = item.hasAttribute('t') ? Number(item.getAttribute('t')) : time;
+        let repeat = Number(item.getAttribute('r') || 0);
+        if (repeat < 0) {
+            // r="-1" repeats up to the next entry's start or the end of the period
+            const next = items[index + 1]?.getAttribute('t');
+            const limit = next !== null && next !== undefined ? Number(next) : end;
+            repeat = Math.ceil((limit - time) / duration) - 1;
+        }
+
+        for (let i = 0; i <= repeat; i++) {
+            entries.push({ start: time, duration });
+            time += duration;
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Merge one segment description (SegmentTemplate, SegmentList or SegmentBase)
+ * down the Period, AdaptationSet and Representation levels; attributes set
+ * lower down win, as do child elements
+ * @param {string} name - Element name
+ * @param {Element[]} levels - Elements from outermost to innermost
+ * @returns {Object|null} - { attributes, timeline, initialization, urls }
+ */
+function getSegmentInfo(name, levels) {
+    const elements = levels.map(level => getChildren(level, name)[0]).filter(Boolean);
+    if (elements.length === 0) {
+        return null;
+    }
+
+    const info = { attributes: {}, timeline: null, initialization: null, urls: [] };
+    for (const element of elements) {
+        for (const { name: attribute, value } of Array.from(element.attributes)) {
+            info.attributes[attribute] = value;
+        }
+        info.timeline = getChildren(element, 'SegmentTimeline')[0] || info.timeline;
+        info.initialization = getChildren(element, 'Initialization')[0] || info.initialization;
+        const urls = getChildren(element, 'SegmentURL');
+        if (urls.length > 0) {
+            info.urls = urls;
+        }
+    }
+    return info;
+}
+
+/**
+ * Resolve the BaseURL of an element against the one above it
+ * @param {Element} element - MPD, Period, AdaptationSet or Representation
+ * @param {string} base - Base URL of the parent
+ * @returns {string} - Base URL of the element
+ */
+function resolveBaseUrl(element, base) {
+    const baseUrl = getChildren(element, 'BaseURL')[0]?.textContent.trim();
+    return baseUrl ? new URL(baseUrl, base).href : base;
+}
+
+/**
+ * Check whether an adaptation set carries video
+ * @param {Element} set - AdaptationSet element
+ * @returns {boolean} - Whether it is a video set
+ */
+function isVideoSet(set) {
+    const representation = getChildren(set, 'Representation')[0];
+    const mimeType = set.getAttribute('mimeType') || representation?.getAttribute('mimeType') || '';
+    return set.getAttribute('contentType') === 'video' || mimeType.startsWith('video/');
+}
+
+/**
+ * Check whether an AdaptationSet carries audio
+ * @param {Element} set - AdaptationSet element
+ * @returns {boolean} - Whether it is an audio set
+ */
+function isAudioSet(set) {
+    const representation = getChildren(set, 'Representation')[0];
+    const mimeType = set.getAttribute('mimeType') || representation?.getAttribute('mimeType') || '';
+    return set.getAttribute('contentType') === 'audio' || mimeType.startsWith('audio/');
+}
+
+/**
+ * Parse an MPD
+ * @param {string} text - MPD document
+ * @param {string} base - Content path of the MPD
+ * @returns {Object} - { duration, representations: [{ id, bitrate, width, height, codecs,
+ *   mimeType, playlist }] } lowest bitrate first. A playlist is { init, segments, duration };
+ *   with SegmentBase its segments are null until the sidx at `indexRange` is read.
+ */
+export function parseMpd(text, base) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Malformed MPD document');
+    }
+
+    const mpd = doc.documentElement;
+    if (mpd?.localName !== 'MPD') {
+        throw new Error('Not a DASH manifest');
+    }
+    if (mpd.getAttribute('type') === 'dynamic') {
+        throw new Error('Live DASH streams are not supported');
+    }
+
+    const period = getChildren(mpd, 'Period')[0];
+    if (!period) {
+        throw new Error('DASH manifest has no period');
+    }
+    const duration = parseDuration(mpd.getAttribute('mediaPresentationDuration')) ??
+        parseDuration(period.getAttribute('duration'));
+
+    const set = getChildren(period, 'AdaptationSet').find(isVideoSet);
+    if (!set) {
+        throw new Error('DASH manifest has no video adaptation set');
+    }
+    if (getChildren(set, 'ContentProtection').length > 0) {
+        throw new Error('Encrypted DASH streams are not supported');
+    }
+
+    const setBase = [mpd, period, set].reduce((url, element) => resolveBaseUrl(element, url), `ipfs://${base}`);
+    const representations = getChildren(set, 'Representation').map(representation => {
+        const container = representation.getAttribute('mimeType') || set.getAttribute('mimeType') || 'video/mp4';
+        const codecs = representation.getAttribute('codecs') || set.getAttribute('codecs') || null;
+        const defaultType = container === 'video/webm' ? VIDEO_SETTINGS.MSE.MIME_TYPES.WEBM : VIDEO_SETTINGS.MSE.MIME_TYPES.MP4;
+
+        return {
+            id: representation.getAttribute('id'),
+            bitrate: Number(representation.getAttribute('bandwidth')) || null,
+            width: Number(representation.getAttribute('width') || set.getAttribute('width')) || null,
+            height: Number(representation.getAttribute('height') || set.getAttribute('height')) || null,
+            codecs,
+            mimeType: codecs ? `${container}; codecs="${codecs}"` : defaultType,
+            playlist: getPlaylist(representation, [period, set, representation],
+                resolveBaseUrl(representation, setBase), duration)
+        };
+    });
+
+    // Audio in its own set would need a second SourceBuffer; video without it would play silent
+    const playable = getChildren(period, 'AdaptationSet').some(isAudioSet)
+        ? representations.filter(representation => AUDIO_CODECS.test(representation.codecs || ''))
+        : representations;
+    if (playable.length === 0) {
+        throw new Error('DASH audio in a separate adaptation set is not supported');
+    }
+
+    return {
+        duration,
+        representations: playable.sort((a, b) => a.bitrate - b.bitrate)
+    };
+}
+
+/**
+ * Work out the init segment and segments of a representation
+ * @param {Element} representation - Representation element
+ * @param {Element[]} levels - Period, AdaptationSet and Representation
+ * @param {string} base - Base URL of the representation
+ * @param {number|null} duration - Presentation duration in seconds
+ * @returns {Object} - { init, segments, duration, indexRange }
+ */
+function getPlaylist(representation, levels, base, duration) {
+    const resolve = (reference) => {
+        const path = parseContentPath(new URL(reference, base).href)?.contentPath;
+        if (!path) {
+            throw new Error(`DASH URL is not IPFS content: ${reference}`);
+        }
+        return path;
+    };
+    const getInit = (initialization) => initialization && {
+        path: resolve(initialization.getAttribute('sourceURL') || ''),
+        range: parseRange(initialization.getAttribute('range'))
+    };
+
+    const values = {
+        RepresentationID: representation.getAttribute('id'),
+        Bandwidth: representation.getAttribute('bandwidth')
+    };
+
+    const template = getSegmentInfo('SegmentTemplate', levels);
+    if (template) {
+        const { attributes } = template;
+        const entries = getTimes(template, duration);
+        const startNumber = Number(attributes.startNumber ?? 1);
+        const timescale = Number(attributes.timescale || 1);
+
+        return toPlaylist({
+            init: attributes.initialization
+                ? { path: resolve(expandTemplate(attributes.initialization, values)), range: null }
+                : getInit(template.initialization),
+            segments: entries.map(({ start, duration: length }, index) => ({
+                path: resolve(expandTemplate(attributes.media, { ...values, Number: startNumber + index, Time: start })),
+                range: null,
+                time: start / timescale,
+                duration: length / timescale
+            }))
+        });
+    }
+
+    const list = getSegmentInfo('SegmentList', levels);
+    if (list) {
+        const entries = getTimes(list, duration);
+        const timescale = Number(list.attributes.timescale || 1);
+
+        return toPlaylist({
+            init: getInit(list.initialization),
+            segments: list.urls.slice(0, entries.length || list.urls.length).map((url, index) => ({
+                path: resolve(url.getAttribute('media') || ''),
+                range: parseRange(url.getAttribute('mediaRange')),
+                time: (entries[index]?.start ?? 0) / timescale,
+                duration: (entries[index]?.duration ?? 0) / timescale
+            }))
+        });
+    }
+
+    const segmentBase = getSegmentInfo('SegmentBase', levels);
+    const indexRange = parseRange(segmentBase?.attributes.indexRange);
+    if (!indexRange) {
+        throw new Error(`Representation ${values.RepresentationID} has no segment information`);
+    }
+
+    // Without an explicit range the init segment is everything before the index
+    const path = resolve('');
+    return {
+        init: getInit(segmentBase.initialization) || { path, range: { start: 0, end: indexRange.start - 1 } },
+        segments: null,
+        duration: null,
+        path,
+        indexRange
+    };
+}
+
+/**
+ * Get segment times from a SegmentTimeline or a fixed @duration
+ * @param {Object} info - Merged segment description
+ * @param {number|null} duration - Presentation duration in seconds
+ * @returns {Object[]} - [{ start, duration }] in timescale units
+ */
+function getTimes({ attributes, timeline, urls }, duration) {
+    const timescale = Number(attributes.timescale || 1);
+    const offset = Number(attributes.presentationTimeOffset || 0);
+    const end = offset + (duration ?? 0) * timescale;
+
+    if (timeline) {
+        return parseTimeline(timeline, end);
+    }
+
+    const length = Number(attributes.duration);
+    if (!(length > 0)) {
+        return [];
+    }
+    const count = urls.length || Math.ceil((end - offset) / length);
+    return Array.from({ length: count }, (_, index) => {
+        const start = offset + index * length;
+        // The last numbered segment stops where the presentation does
+        return { start, duration: urls.length || !duration ? length : Math.min(length, end - start) };
+    });
+}
+
+/**
+ * Add the duration to a playlist built from segments
+ * @param {Object} playlist - { init, segments }
+ * @returns {Object} - { init, segments, duration }
+ */
+function toPlaylist({ init, segments }) {
+    const last = segments[segments.length - 1];
+    return { init, segments, duration: last ? last.time + last.duration : 0 };
+}
+
+/**
+ * Read the subsegments listed in a sidx box
+ * @param {ArrayBuffer} buffer - Bytes of the index range
+ * @param {number} offset - File offset of the first byte of the box
+ * @returns {Object[]} - [{ range, time, duration }]
+ */
+export function parseSidx(buffer, offset) {
+    const view = new DataView(buffer);
+    const size = view.getUint32(0);
+    const type = String.fromCharCode(...new Uint8Array(buffer, 4, 4));
+    if (type !== 'sidx') {
+        throw new Error(`Expected a sidx box, found ${type}`);
+    }
+
+    const version = view.getUint8(8);
+    const timescale = view.getUint32(16);
+    let position = 20;
+    let time;
+    let firstOffset;
+    if (version === 0) {
+        time = view.getUint32(position);
+        firstOffset = view.getUint32(position + 4);
+        position += 8;
+    } else {
+        time = Number(view.getBigUint64(position));
+        firstOffset = Number(view.getBigUint64(position + 8));
+        position += 16;
+    }
+
+    // reserved(16) then reference_count(16)
+    const count = view.getUint16(position + 2);
+    position += 4;
+
+    // Offsets count from the first byte after the sidx box
+    let start = offset + size + firstOffset;
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+        const reference = view.getUint32(position);
+        const duration = view.getUint32(position + 4);
+        position += 12;
+
+        if (reference & 0x80000000) {
+            throw new Error('Hierarchical sidx indexes are not supported');
+        }
+        const referencedSize = reference & 0x7fffffff;
+        segments.push({
+            range: { start, end: start + referencedSize - 1 },
+            time: time / timescale,
+            duration: duration / timescale
+        });
+        start += referencedSize;
+        time += duration;
+    }
+    return segments;
+}
+
+/**
+ * A DASH presentation: the video representations of an MPD. Indexes of
+ * SegmentBase representations are fetched when the representation is first
+ * played.
+ */
+export class DashManifest {
+    /**
+     * @param {string} path - Content path of the .mpd
+     * @param {Function} fetchFile - (path, start, end) => Promise<Response> through the providers
+     */
+    constructor(path, fetchFile) {
+        this.path = path;
+        this.fetchFile = fetchFile;
+        this.variants = [];
+        this.playlists = new Map();
+    }
+
+    /**
+     * Fetch the MPD and list its representations
+     * @returns {Promise<DashManifest>} - This manifest
+     */
+    async load() {
+        const response = await this.fetchFile(this.path);
+        const { representations } = parseMpd(await response.text(), this.path);
+        if (representations.length === 0) {
+            throw new Error(`${this.path} lists no video representations`);
+        }
+
+        this.variants = representations.map(({ playlist, ...variant }) => {
+            this.playlists.set(variant, playlist);
+            return variant;
+        });
+        return this;
+    }
+
+    /**
+     * Get the init segment and segments of a representation
+     * @param {Object} variant - One of this.variants
+     * @returns {Promise<Object>} - { init, segments, duration }
+     */
+    async loadVariant(variant) {
+        let playlist = this.playlists.get(variant);
+        if (!playlist.segments) {
+            playlist = await this.loadIndex(playlist);
+            this.playlists.set(variant, playlist);
+        }
+        if (playlist.segments.length === 0) {
+            throw new Error(`Representation ${variant.id} has no segments`);
+        }
+        return playlist;
+    }
+
+    /**
+     * Read the segments of a SegmentBase representation from its sidx box
+     * @param {Object} playlist - { init, path, indexRange }
+     * @returns {Promise<Object>} - { init, segments, duration }
+     */
+    async loadIndex({ init, path, indexRange }) {
+        const { start, end } = indexRange;
+        const response = await this.fetchFile(path, start, end);
+        const data = await response.arrayBuffer();
+        // A gateway that ignored the Range header sent the whole file
+        const index = response.status === 206 ? data : data.slice(start, end + 1);
+
+        const segments = parseSidx(index, start).map(segment => ({ path, ...segment }));
+        return toPlaylist({ init, segments });
+    }
+}
@@ -0,0 +1,195 @@
+// Preferred containers first; .mov only plays where the browser handles QuickTime
+const VIDEO_CONTAINERS = ['mp4', 'm4v', 'webm', 'mov'];
+// Streaming manifests, and the names packagers give the top-level one
+const MANIFEST_FORMATS = ['m3u8', 'mpd'];
+const MANIFEST_NAMES = ['master', 'index', 'playlist', 'main', 'manifest'];
+const SUBTITLE_FORMATS = ['vtt', 'srt'];
+const POSTER_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'avif'];
+const POSTER_NAMES = ['poster', 'cover', 'thumbnail', 'thumb', 'folder'];
+const METADATA_NAMES = ['metadata', 'info', 'meta'];
+const RENDITIONS_NAME = 'renditions';
+const EXTRA_PATTERN = /\b(sample|trailer|preview|teaser|extra)s?\b/i;
+
+/**
+ * Split a file name into stem and lowercase extension
+ * @param {string} name - File name
+ * @returns {Object} - { stem, extension }
+ */
+function splitName(name) {
+    const dot = name.lastIndexOf('.');
+    if (dot <= 0) {
+        return { stem: name, extension: '' };
+    }
+    return { stem: name.slice(0, dot), extension: name.slice(dot + 1).toLowerCase() };
+}
+
+/**
+ * Check whether a directory entry is a playable video file
+ * @param {Object} link - Directory entry { Name, Size }
+ * @returns {boolean} - Whether the entry is a video
+ */
+export function isVideoLink(link) {
+    return Boolean(link?.Name) &&
+        VIDEO_CONTAINERS.includes(splitName(link.Name).extension) &&
+        link.Size > 0;
+}
+
+/**
+ * Choose the main video in a directory listing.
+ * Samples and trailers lose to everything else, then the container decides,
+ * then the largest file wins and the name breaks ties.
+ * @param {Object[]} links - Directory entries { Name, Size, Hash }
+ * @returns {Object|null} - Chosen entry
+ */
+export function selectVideoLink(links = []) {
+    const candidates = links.filter(isVideoLink);
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    return candidates.sort((a, b) =>
+        (EXTRA_PATTERN.test(a.Name) - EXTRA_PATTERN.test(b.Name)) ||
+        (VIDEO_CONTAINERS.indexOf(splitName(a.Name).extension) -
+            VIDEO_CONTAINERS.indexOf(splitName(b.Name).extension)) ||
+        (b.Size - a.Size) ||
+        a.Name.localeCompare(b.Name)
+    )[0];
+}
+
+/**
+ * Choose the top-level streaming manifest in a directory listing, if any.
+ * Packagers' usual names (master.m3u8, manifest.mpd) win over variant
+ * playlists, then HLS over DASH, then the name decides.
+ * @param {Object[]} links - Directory entries { Name, Size, Hash }
+ * @returns {Object|null} - Chosen entry
+ */
+export function selectManifestLink(links = []) {
+    const rank = (link) => {
+        const index = MANIFEST_NAMES.indexOf(splitName(link.Name).stem.toLowerCase());
+        return index === -1 ? MANIFEST_NAMES.length : index;
+    };
+
+    const candidates = links.filter(link =>
+        link?.Name && MANIFEST_FORMATS.includes(splitName(link.Name).extension)
+    );
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    return candidates.sort((a, b) =>
+        (rank(a) - rank(b)) ||
+        (MANIFEST_FORMATS.indexOf(splitName(a.Name).extension) -
+            MANIFEST_FORMATS.indexOf(splitName(b.Name).extension)) ||
+        a.Name.localeCompare(b.Name)
+    )[0];
+}
+
+/**
+ * Find subtitle, poster, metadata and rendition manifest files that belong to a video.
+ * Files sharing the video's stem win; generic names such as poster.jpg or
+ * metadata.json are used when nothing matches, and when the directory holds a
+ * single video every subtitle file is assumed to belong to it.
+ * @param {Object[]} links - Directory entries
+ * @param {Object} video - Selected video entry
+ * @returns {Object} - { subtitles: [{ name, language, format }], poster, metadata, renditions }
+ */
+export function findSidecars(links, video) {
+    const { stem } = splitName(video.Name);
+    const lowerStem = stem.toLowerCase();
+    const singleVideo = links.filter(isVideoLink).length === 1;
+
+    const subtitles = [];
+    const posters = [];
+    const metadata = [];
+    const renditions = [];
+
+    for (const link of links) {
+        if (!link?.Name || link === video) continue;
+
+        const { stem: fileStem, extension } = splitName(link.Name);
+        const lowerFileStem = fileStem.toLowerCase();
+        const matchesVideo = lowerFileStem === lowerStem || lowerFileStem.startsWith(`${lowerStem}.`);
+
+        if (SUBTITLE_FORMATS.includes(extension) && (matchesVideo || singleVideo)) {
+            // movie.en.vtt -> "en"
+            const language = matchesVideo && lowerFileStem !== lowerStem
+                ? fileStem.slice(stem.length + 1)
+                : '';
+            subtitles.push({ name: link.Name, language, format: extension });
+        } else if (POSTER_FORMATS.includes(extension)) {
+            if (matchesVideo) {
+                posters.unshift(link.Name);
+            } else if (POSTER_NAMES.includes(lowerFileStem)) {
+                posters.push(link.Name);
+            }
+        } else if (extension === 'json' &&
+            (lowerFileStem === RENDITIONS_NAME || lowerFileStem === `${lowerStem}.${RENDITIONS_NAME}`)) {
+            // movie.renditions.json beats a directory-wide renditions.json
+            if (lowerFileStem === RENDITIONS_NAME) {
+                renditions.push(link.Name);
+            } else {
+                renditions.unshift(link.Name);
+            }
+        } else if (extension === 'json') {
+            if (matchesVideo) {
+                metadata.unshift(link.Name);
+            } else if (METADATA_NAMES.includes(lowerFileStem)) {
+                metadata.push(link.Name);
+            }
+        }
+    }
+
+    subtitles.sort((a, b) => a.name.localeCompare(b.name));
+
+    return {
+        subtitles,
+        poster: posters[0] || null,
+        metadata: metadata[0] || null,
+        renditions: renditions[0] || null
+    };
+}
+
+/**
+ * Work out what to play for a CID from its resolved metadata. A streaming
+ * manifest wins over video files, which in such a directory are its segments.
+ * @param {string} cid - Content ID
+ * @param {Object|null} metadata - Metadata from VideoSourceManager
+ * @returns {Object} - { cid, path, sidecars } where paths are CID-relative content paths
+ */
+export function resolvePlayback(cid, metadata) {
+    const empty = { subtitles: [], poster: null, metadata: null, renditions: null };
+    const links = metadata?.Links;
+    const video = Array.isArray(links) ? selectManifestLink(links) || selectVideoLink(links) : null;
+
+    if (!video) {
+        return { cid, path: cid, sidecars: empty };
+    }
+
+    const sidecars = findSidecars(links, video);
+    return {
+        cid,
+        path: `${cid}/${video.Name}`,
+        sidecars: {
+            subtitles: sidecars.subtitles.map(subtitle => ({
+                ...subtitle,
+                path: `${cid}/${subtitle.name}`
+            })),
+            poster: sidecars.poster && `${cid}/${sidecars.poster}`,
+            metadata: sidecars.metadata && `${cid}/${sidecars.metadata}`,
+            renditions: sidecars.renditions && `${cid}/${sidecars.renditions}`
+        }
+    };
+}
+
+/**
+ * Convert SubRip subtitles to WebVTT
+ * @param {string} srt - SRT text
+ * @returns {string} - WebVTT text
+ */
+export function srtToVtt(srt) {
+    const body = srt
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+    return `WEBVTT\n\n${body}`;
+}
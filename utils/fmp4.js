@@ -0,0 +1,342 @@
+/**
+ * ISO BMFF (MP4) box reading for MSE playback. Only fragmented MP4 (an
+ * mvex in the moov, media in moof/mdat pairs) can be appended to a
+ * SourceBuffer; ordinary MP4s keep their sample tables in the moov and
+ * have to play progressively. Appending may restart at any moof, so the
+ * fragments seen while streaming, or listed up front in a sidx, map seek
+ * targets to the byte offset to download from.
+ */
+import { parseSidx } from './dash.js';
+
+// Boxes read whole while indexing; anything larger is skipped like an mdat
+const INDEXED_BOXES = ['moov', 'moof', 'sidx'];
+const MAX_INDEXED_BOX_SIZE = 4 * 1024 * 1024;
+const GAP_FACTOR = 4;
+
+/**
+ * Read the header of the box at a position
+ * @param {Uint8Array} bytes - Buffer holding the box
+ * @param {number} position - Offset of the box in the buffer
+ * @returns {Object|null} - { type, size, header } or null when the header is
+ *   incomplete; size is Infinity for a box that runs to the end of the file
+ */
+export function readBoxHeader(bytes, position) {
+    if (position + 8 > bytes.length) {
+        return null;
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset + position, bytes.length - position);
+    const type = String.fromCharCode(...bytes.subarray(position + 4, position + 8));
+    let size = view.getUint32(0);
+    let header = 8;
+
+    if (size === 1) {
+        if (position + 16 > bytes.length) {
+            return null;
+        }
+        size = Number(view.getBigUint64(8));
+        header = 16;
+    } else if (size === 0) {
+        size = Infinity;
+    }
+
+    if (size < header) {
+        throw new Error(`Invalid ${type} box size`);
+    }
+    return { type, size, header };
+}
+
+/**
+ * List the boxes in a range, the last one possibly cut off by its end
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} start - Offset of the first box
+ * @param {number} end - End of the range
+ * @returns {Object[]} - [{ type, size, header, start, end, body }]
+ */
+export function readBoxes(bytes, start, end) {
+    const boxes = [];
+    let position = start;
+
+    while (position < end) {
+        const box = readBoxHeader(bytes, position);
+        if (!box) break;
+
+        const boxEnd = Math.min(position + box.size, end);
+        boxes.push({ ...box, start: position, end: boxEnd, body: position + box.header });
+        position = boxEnd;
+    }
+    return boxes;
+}
+
+/**
+ * Find the first child box of a type
+ * @param {Uint8Array} bytes - Buffer
+ * @param {Object} box - Parent box from readBoxes()
+ * @param {string} type - Child type
+ * @returns {Object|null} - Child box
+ */
+export function findBox(bytes, box, type) {
+    return readBoxes(bytes, box.body, box.end).find(child => child.type === type) || null;
+}
+
+/**
+ * Check whether the head of an MP4 belongs to a fragmented file
+ * @param {Uint8Array} bytes - Leading file bytes
+ * @returns {boolean} - Whether the file is fragmented
+ */
+export function isFragmentedMp4(bytes) {
+    try {
+        for (const box of readBoxes(bytes, 0, bytes.length)) {
+            if (box.type === 'moof') return true;
+            if (box.type === 'mdat') return false;
+            if (box.type === 'moov') {
+                // A moov too big for the head holds sample tables, so the file isn't fragmented
+                return box.start + box.size <= bytes.length && findBox(bytes, box, 'mvex') !== null;
+            }
+        }
+    } catch (error) {
+        return false;
+    }
+    return false;
+}
+
+/**
+ * Read the timescale of each track in a moov box
+ * @param {Uint8Array} bytes - Buffer
+ * @param {Object} moov - moov box from readBoxes()
+ * @returns {Map<number, number>} - Track ID to timescale
+ */
+export function readTimescales(bytes, moov) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const timescales = new Map();
+
+    for (const trak of readBoxes(bytes, moov.body, moov.end)) {
+        if (trak.type !== 'trak') continue;
+
+        const tkhd = findBox(bytes, trak, 'tkhd');
+        const mdia = findBox(bytes, trak, 'mdia');
+        const mdhd = mdia && findBox(bytes, mdia, 'mdhd');
+        if (!tkhd || !mdhd) continue;
+
+        // Version 1 headers carry 64-bit creation and modification times
+        const trackId = view.getUint32(tkhd.body + (bytes[tkhd.body] === 1 ? 20 : 12));
+        const timescale = view.getUint32(mdhd.body + (bytes[mdhd.body] === 1 ? 20 : 12));
+        timescales.set(trackId, timescale);
+    }
+    return timescales;
+}
+
+/**
+ * Read the decode time each track fragment of a moof box starts at
+ * @param {Uint8Array} bytes - Buffer
+ * @param {Object} moof - moof box from readBoxes()
+ * @param {Map<number, number>} timescales - Track ID to timescale
+ * @returns {Object[]} - [{ track, time }] with the time in seconds
+ */
+export function readFragmentTimes(bytes, moof, timescales) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const times = [];
+
+    for (const traf of readBoxes(bytes, moof.body, moof.end)) {
+        if (traf.type !== 'traf') continue;
+
+        const tfhd = findBox(bytes, traf, 'tfhd');
+        const tfdt = findBox(bytes, traf, 'tfdt');
+        const track = tfhd && view.getUint32(tfhd.body + 4);
+        if (!tfdt || !timescales.has(track)) continue;
+
+        const decodeTime = bytes[tfdt.body] === 1
+            ? Number(view.getBigUint64(tfdt.body + 4))
+            : view.getUint32(tfdt.body + 4);
+        times.push({ track, time: decodeTime / timescales.get(track) });
+    }
+    return times;
+}
+
+/**
+ * Byte offsets of the fragments of a fragmented MP4, fed with the file's
+ * bytes as they are appended
+ */
+export class FragmentIndex {
+    constructor() {
+        this.timescales = new Map();
+        this.fragments = new Map();
+        this.indexed = false;
+        this.offset = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Continue reading boxes from a box boundary, such as a moof a download
+     * restarts from
+     * @param {number} offset - File offset of the box
+     */
+    resume(offset) {
+        this.offset = offset;
+        this.pending = null;
+    }
+
+    /**
+     * Read the boxes in bytes appended at a file offset. Bytes must arrive in
+     * file order from the last resume() offset; an mdat is skipped without
+     * being held, a box to be read is kept until it is complete.
+     * @param {number} start - File offset of the bytes
+     * @param {ArrayBuffer} data - Bytes
+     */
+    add(start, data) {
+        let bytes = new Uint8Array(data);
+        let base = start;
+
+        if (this.pending && this.offset + this.pending.length === start) {
+            const joined = new Uint8Array(this.pending.length + bytes.length);
+            joined.set(this.pending);
+            joined.set(bytes, this.pending.length);
+            bytes = joined;
+            base = this.offset;
+        } else if (this.pending || this.offset < start || this.offset >= start + bytes.length) {
+            // Either inside a skipped box or off the byte order
+            return;
+        }
+
+        this.pending = null;
+        let position = this.offset - base;
+
+        try {
+            while (position < bytes.length) {
+                const box = readBoxHeader(bytes, position);
+                if (!box) break;
+
+                if (INDEXED_BOXES.includes(box.type) && box.size <= MAX_INDEXED_BOX_SIZE) {
+                    if (position + box.size > bytes.length) break;
+                    this.readBox(bytes, { ...box, start: position, end: position + box.size, body: position + box.header }, base);
+                }
+                position += box.size;
+            }
+        } catch (error) {
+            // Lost track of the box structure; stop indexing
+            this.offset = Infinity;
+            return;
+        }
+
+        this.offset = base + position;
+        if (position < bytes.length) {
+            this.pending = bytes.slice(position);
+        }
+    }
+
+    /**
+     * Find the moof boxes in bytes from an arbitrary file offset and index them
+     * @param {number} start - File offset of the bytes
+     * @param {ArrayBuffer} data - Bytes
+     * @returns {Object[]} - Fragments found: [{ offset, track, time }]
+     */
+    scan(start, data) {
+        const bytes = new Uint8Array(data);
+        const found = [];
+        if (this.indexed) {
+            return found;
+        }
+
+        // A moof begins with its size and type, followed by an mfhd
+        for (let position = 0; position + 16 <= bytes.length; position++) {
+            if (bytes[position + 4] !== 0x6d || bytes[position + 5] !== 0x6f ||
+                bytes[position + 6] !== 0x6f || bytes[position + 7] !== 0x66) {
+                continue;
+            }
+
+            try {
+                const box = readBoxHeader(bytes, position);
+                if (readBoxHeader(bytes, position + 8).type !== 'mfhd' || position + box.size > bytes.length) {
+                    continue;
+                }
+
+                const moof = { ...box, start: position, end: position + box.size, body: position + box.header };
+                for (const { track, time } of readFragmentTimes(bytes, moof, this.timescales)) {
+                    found.push(this.addFragment(start + position, track, time));
+                }
+                position += box.size - 1;
+            } catch (error) {
+                // The bytes only looked like a moof
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Index a complete box
+     * @param {Uint8Array} bytes - Buffer
+     * @param {Object} box - Box within the buffer
+     * @param {number} base - File offset of the buffer
+     */
+    readBox(bytes, box, base) {
+        if (box.type === 'moov') {
+            this.timescales = readTimescales(bytes, box);
+        } else if (box.type === 'moof' && !this.indexed) {
+            for (const { track, time } of readFragmentTimes(bytes, box, this.timescales)) {
+                this.addFragment(base + box.start, track, time);
+            }
+        } else if (box.type === 'sidx' && !this.indexed) {
+            // A sidx lists every fragment, so it replaces whatever was seen so far
+            const buffer = bytes.slice(box.start, box.end).buffer;
+            this.fragments.clear();
+            parseSidx(buffer, base + box.start).forEach(({ range, time }) => {
+                this.addFragment(range.start, 'sidx', time);
+            });
+            this.indexed = true;
+        }
+    }
+
+    /**
+     * Record a fragment
+     * @param {number} offset - File offset of its moof
+     * @param {number|string} track - Track ID
+     * @param {number} time - Start time in seconds
+     * @returns {Object} - { offset, track, time }
+     */
+    addFragment(offset, track, time) {
+        const fragment = { offset, track, time };
+        this.fragments.set(`${offset}:${track}`, fragment);
+        return fragment;
+    }
+
+    /**
+     * Find the offset to append from to play a given time: the earliest of
+     * each track's last fragment starting at or before it. Strictly, that
+     * fragment must also be followed by one past the time without a hole in
+     * the index between them (a gap over GAP_FACTOR times the track's usual
+     * spacing), since the bytes of a hole would be downloaded first. A time
+     * past the last fragment's start plays from it, strictly only when a sidx
+     * says no fragment follows.
+     * @param {number} time - Time in seconds
+     * @param {boolean} [strict] - Whether to reject fragments before a hole
+     * @returns {number|null} - File offset, or null when the indexed
+     *   fragments don't reach the time
+     */
+    find(time, strict = true) {
+        const tracks = new Map();
+        for (const fragment of this.fragments.values()) {
+            if (!tracks.has(fragment.track)) tracks.set(fragment.track, []);
+            tracks.get(fragment.track).push(fragment.time);
+        }
+
+        const offsets = [];
+        for (const [track, times] of tracks) {
+            times.sort((a, b) => a - b);
+            const next = times.findIndex(start => start > time);
+            if (next === 0 || (next === -1 && strict && !this.indexed)) {
+                return null;
+            }
+
+            const start = times[next === -1 ? times.length - 1 : next - 1];
+            const spacing = Math.min(...times.slice(1).map((value, index) => value - times[index]));
+            if (strict && next !== -1 && times[next] - start > spacing * GAP_FACTOR) {
+                return null;
+            }
+
+            const fragment = [...this.fragments.values()]
+                .find(candidate => candidate.track === track && candidate.time === start);
+            offsets.push(fragment.offset);
+        }
+        return offsets.length > 0 ? Math.min(...offsets) : null;
+    }
+}
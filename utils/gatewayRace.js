@@ -0,0 +1,67 @@
+import gatewayRegistry from './GatewayRegistry.js';
+import gatewayHealth from './GatewayHealth.js';
+import localNode from './LocalNode.js';
+import { PROVIDERS } from '../config/config.js';
+import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+
+/**
+ * Usable gateways: reachable local nodes first, then by priority and health.
+ * Gateways scoring below MIN_PROVIDER_SCORE come last rather than being dropped,
+ * so requests that fall through to them can still record a recovery.
+ * @returns {Object[]} - Gateway definitions
+ */
+export function getAvailableGateways() {
+    const isLocal = gateway => (gateway.kind === 'local' ? 1 : 0);
+    const isDegraded = gateway => (gatewayHealth.getScore(gateway.id) < VIDEO_SETTINGS.MIN_PROVIDER_SCORE ? 1 : 0);
+
+    return gatewayRegistry.getGateways()
+        .filter(gateway => gateway.enabled && !gatewayHealth.isDisabled(gateway.id))
+        .filter(gateway => gateway.kind !== 'local' || localNode.isReachable(gateway.id))
+        .sort((a, b) =>
+            (isDegraded(a) - isDegraded(b)) ||
+            (isLocal(b) - isLocal(a)) ||
+            (b.priority - a.priority) ||
+            (gatewayHealth.getScore(b.id) - gatewayHealth.getScore(a.id))
+        );
+}
+
+/**
+ * Gateways to query for lookups
+ * @returns {Object[]} - The best PROVIDERS.PARALLEL_LOOKUPS available gateways
+ */
+export function getLookupGateways() {
+    return getAvailableGateways().slice(0, PROVIDERS.PARALLEL_LOOKUPS);
+}
+
+/**
+ * Race a request against several gateways, returning the first usable result
+ * @param {Function} request - (gateway, signal) => Promise<Object|null>
+ * @param {AbortSignal} [signal] - Caller abort signal
+ * @returns {Promise<Object|null>} - First non-null result, or null if none answered
+ */
+export async function raceGateways(request, signal) {
+    const gateways = getLookupGateways();
+    if (gateways.length === 0) {
+        throw new Error('No gateways available');
+    }
+
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    try {
+        return await Promise.any(gateways.map(async gateway => {
+            const result = await request(gateway, controller.signal);
+            if (!result) {
+                throw new Error(`No result from ${gateway.id}`);
+            }
+            return result;
+        }));
+    } catch (error) {
+        if (error instanceof AggregateError) {
+            return null;
+        }
+        throw error;
+    } finally {
+        controller.abort();
+    }
+}
@@ -0,0 +1,268 @@
+/**
+ * HLS playlists hosted on IPFS. Master and media playlists are parsed into
+ * the variant/segment shape SegmentPlayer plays, with every URI resolved to
+ * a content path so segments are fetched through the provider list.
+ * Only fragmented MP4 (EXT-X-MAP) segments with muxed audio can be fed
+ * through MSE; MPEG-TS, encrypted streams and audio in separate renditions
+ * are left to browsers that play HLS natively.
+ */
+import { resolveContentPath } from './cid.js';
+import { VIDEO_SETTINGS } from '../config/videoConfig.js';
+
+export const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+
+/**
+ * Check whether a content path names an HLS playlist
+ * @param {string} path - Content path
+ * @returns {boolean} - Whether the path ends in .m3u8
+ */
+export function isHlsPath(path) {
+    return /\.m3u8$/i.test(path || '');
+}
+
+/**
+ * Parse an attribute list: KEY=VALUE,KEY="quoted, value"
+ * @param {string} text - Attribute list
+ * @returns {Object} - Attributes by name, quotes removed
+ */
+export function parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return attributes;
+}
+
+/**
+ * Parse a BYTERANGE value: length[@offset]
+ * @param {string} value - Byte range
+ * @param {number} nextOffset - Offset when none is given: the end of the previous range
+ * @returns {Object} - { start, end } with an inclusive end
+ */
+function parseByteRange(value, nextOffset) {
+    const [length, offset] = value.split('@').map(Number);
+    const start = Number.isFinite(offset) ? offset : nextOffset;
+    return { start, end: start + length - 1 };
+}
+
+/**
+ * Split a playlist into tag and URI lines
+ * @param {string} text - Playlist text
+ * @returns {string[]} - Non-empty lines
+ */
+function getLines(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines[0] !== '#EXTM3U') {
+        throw new Error('Not an HLS playlist');
+    }
+    return lines;
+}
+
+/**
+ * Check whether playlist text is a master playlist
+ * @param {string} text - Playlist text
+ * @returns {boolean} - Whether it lists variant streams
+ */
+export function isMasterPlaylist(text) {
+    return /^#EXT-X-STREAM-INF:/m.test(text);
+}
+
+/**
+ * Parse a master playlist
+ * @param {string} text - Playlist text
+ * @param {string} base - Content path of the playlist
+ * @returns {Object[]} - Variants [{ bitrate, width, height, codecs, uri, audioGroup }],
+ *   lowest bitrate first; audioGroup names the EXT-X-MEDIA group holding the
+ *   variant's audio when it lives in playlists of its own, and is null when muxed
+ */
+export function parseMasterPlaylist(text, base) {
+    const variants = [];
+    let pending = null;
+
+    // An audio rendition with a URI is a stream of its own; one without rides in the variant
+    const separateAudio = new Set();
+    for (const line of getLines(text)) {
+        if (line.startsWith('#EXT-X-MEDIA:')) {
+            const media = parseAttributes(line.slice('#EXT-X-MEDIA:'.length));
+            if (media.TYPE === 'AUDIO' && media.URI && media['GROUP-ID']) {
+                separateAudio.add(media['GROUP-ID']);
+            }
+        }
+    }
+
+    for (const line of getLines(text)) {
+        if (line.startsWith('#EXT-X-STREAM-INF:')) {
+            pending = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+        } else if (!line.startsWith('#') && pending) {
+            const [width, height] = (pending.RESOLUTION || '').split('x').map(Number);
+            variants.push({
+                bitrate: Number(pending['AVERAGE-BANDWIDTH'] || pending.BANDWIDTH) || null,
+                width: width || null,
+                height: height || null,
+                codecs: pending.CODECS || null,
+                uri: resolveContentPath(line, base),
+                audioGroup: separateAudio.has(pending.AUDIO) ? pending.AUDIO : null
+            });
+            pending = null;
+        }
+    }
+
+    return variants
+        .filter(variant => variant.uri)
+        .sort((a, b) => a.bitrate - b.bitrate);
+}
+
+/**
+ * Parse a media playlist
+ * @param {string} text - Playlist text
+ * @param {string} base - Content path of the playlist
+ * @returns {Object} - { init, segments: [{ path, range, time, duration }], duration, encrypted }
+ *   where init and range are null or { path, range } / { start, end }
+ */
+export function parseMediaPlaylist(text, base) {
+    const resolve = (uri) => {
+        const path = resolveContentPath(uri, base);
+        if (!path) {
+            throw new Error(`HLS URI is not IPFS content: ${uri}`);
+        }
+        return path;
+    };
+
+    const segments = [];
+    let init = null;
+    let encrypted = false;
+    let time = 0;
+    let duration = null;
+    let range = null;
+    // Ranges without an offset continue where the previous one of the same file ended
+    const nextOffsets = new Map();
+
+    for (const line of getLines(text)) {
+        if (line.startsWith('#EXTINF:')) {
+            duration = parseFloat(line.slice('#EXTINF:'.length));
+        } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+            range = line.slice('#EXT-X-BYTERANGE:'.length);
+        } else if (line.startsWith('#EXT-X-MAP:')) {
+            const attributes = parseAttributes(line.slice('#EXT-X-MAP:'.length));
+            init = {
+                path: resolve(attributes.URI),
+                range: attributes.BYTERANGE ? parseByteRange(attributes.BYTERANGE, 0) : null
+            };
+        } else if (line.startsWith('#EXT-X-KEY:')) {
+            encrypted = encrypted || parseAttributes(line.slice('#EXT-X-KEY:'.length)).METHOD !== 'NONE';
+        } else if (!line.startsWith('#') && duration !== null) {
+            const path = resolve(line);
+            const byteRange = range ? parseByteRange(range, nextOffsets.get(path) || 0) : null;
+            if (byteRange) {
+                nextOffsets.set(path, byteRange.end + 1);
+            }
+
+            segments.push({ path, range: byteRange, time, duration });
+            time += duration;
+            duration = null;
+            range = null;
+        }
+    }
+
+    return { init, segments, duration: time, encrypted };
+}
+
+/**
+ * An HLS presentation: the variants of a master playlist, or the single
+ * stream of a media playlist. Media playlists are fetched when a variant is
+ * first played.
+ */
+export class HlsManifest {
+    /**
+     * @param {string} path - Content path of the .m3u8
+     * @param {Function} fetchFile - (path) => Promise<Response> through the providers
+     */
+    constructor(path, fetchFile) {
+        this.path = path;
+        this.fetchFile = fetchFile;
+        this.variants = [];
+        this.playlists = new Map();
+    }
+
+    /**
+     * Fetch the playlist and list its variants
+     * @returns {Promise<HlsManifest>} - This manifest
+     */
+    async load() {
+        const text = await this.fetchText(this.path);
+
+        if (isMasterPlaylist(text)) {
+            this.variants = parseMasterPlaylist(text, this.path);
+        } else {
+            this.variants = [{ bitrate: null, width: null, height: null, codecs: null, uri: this.path, audioGroup: null }];
+            this.playlists.set(this.path, this.toPlaylist(parseMediaPlaylist(text, this.path)));
+        }
+
+        if (this.variants.length === 0) {
+            throw new Error(`${this.path} lists no variant streams`);
+        }
+
+        // Separate audio would need a second SourceBuffer; its variants would play silent
+        const muxed = this.variants.filter(variant => !variant.audioGroup);
+        if (muxed.length === 0) {
+            throw new Error('HLS audio in separate renditions is not supported');
+        }
+        this.variants = muxed;
+        this.variants.forEach(variant => {
+            variant.mimeType = `video/mp4; codecs="${variant.codecs || this.getDefaultCodecs()}"`;
+        });
+        return this;
+    }
+
+    /**
+     * Get the init segment and segments of a variant
+     * @param {Object} variant - One of this.variants
+     * @returns {Promise<Object>} - { init, segments, duration }
+     */
+    async loadVariant(variant) {
+        if (!this.playlists.has(variant.uri)) {
+            const text = await this.fetchText(variant.uri);
+            this.playlists.set(variant.uri, this.toPlaylist(parseMediaPlaylist(text, variant.uri)));
+        }
+        return this.playlists.get(variant.uri);
+    }
+
+    /**
+     * Check a parsed media playlist can go through MSE
+     * @param {Object} playlist - Parsed media playlist
+     * @returns {Object} - The playlist
+     */
+    toPlaylist(playlist) {
+        if (playlist.encrypted) {
+            throw new Error('Encrypted HLS streams are not supported');
+        }
+        if (!playlist.init) {
+            // Without EXT-X-MAP the segments are MPEG-TS, which MSE can't take
+            throw new Error('HLS stream has no fMP4 init segment');
+        }
+        if (playlist.segments.length === 0) {
+            throw new Error('HLS playlist has no segments');
+        }
+        return playlist;
+    }
+
+    /**
+     * Fetch a playlist as text
+     * @param {string} path - Content path
+     * @returns {Promise<string>} - Playlist text
+     */
+    async fetchText(path) {
+        const response = await this.fetchFile(path);
+        return response.text();
+    }
+
+    /**
+     * Codecs assumed when a variant does not declare them
+     * @returns {string} - Codecs parameter
+     */
+    getDefaultCodecs() {
+        return /codecs="([^"]+)"/.exec(VIDEO_SETTINGS.MSE.MIME_TYPES.MP4)[1];
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * Minimal multiformats primitives (varint, multibase, CID bytes)
+ * used to verify content returned by IPFS gateways
+ */
+
+export const CODECS = {
+    RAW: 0x55,
+    DAG_PB: 0x70
+};
+
+export const HASHES = {
+    IDENTITY: 0x00,
+    SHA2_256: 0x12
+};
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Decode an unsigned varint
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset to start reading at
+ * @returns {number[]} - [value, bytesRead]
+ */
+export function decodeVarint(bytes, offset = 0) {
+    let value = 0;
+    let shift = 0;
+    let position = offset;
+
+    while (position < bytes.length) {
+        const byte = bytes[position++];
+        value += (byte & 0x7f) * Math.pow(2, shift);
+        if (byte < 0x80) {
+            return [value, position - offset];
+        }
+        shift += 7;
+        if (shift > 49) {
+            break;
+        }
+    }
+
+    throw new Error('Invalid varint');
+}
+
+/**
+ * Encode an unsigned varint
+ * @param {number} value - Value to encode
+ * @returns {Uint8Array} - Encoded bytes
+ */
+export function encodeVarint(value) {
+    const out = [];
+    while (value >= 0x80) {
+        out.push((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    out.push(value);
+    return Uint8Array.from(out);
+}
+
+/**
+ * Encode bytes as lowercase RFC4648 base32 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Encoded string
+ */
+export function toBase32(bytes) {
+    let bits = 0;
+    let buffer = 0;
+    let out = '';
+
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        buffer &= (1 << bits) - 1;
+    }
+
+    if (bits > 0) {
+        out += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+
+    return out;
+}
+
+/**
+ * Decode an RFC4648 base32 string without padding
+ * @param {string} input - Encoded string (any case)
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function fromBase32(input) {
+    const str = input.toLowerCase();
+    const out = [];
+    let bits = 0;
+    let buffer = 0;
+
+    for (const char of str) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        buffer = (buffer << 5) | value;
+        bits += 5;
+        if (bits >= 8) {
+            out.push((buffer >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+        buffer &= (1 << bits) - 1;
+    }
+
+    return Uint8Array.from(out);
+}
+
+/**
+ * Encode bytes as base58btc
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Encoded string
+ */
+export function toBase58(bytes) {
+    const digits = [0];
+
+    for (const byte of bytes) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+
+    let out = '';
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+        out += BASE58_ALPHABET[0];
+    }
+    for (let i = digits.length - 1; i >= 0; i--) {
+        if (out.length === 0 && digits[i] === 0 && i > 0) continue;
+        out += BASE58_ALPHABET[digits[i]];
+    }
+
+    return out;
+}
+
+/**
+ * Decode a base58btc string
+ * @param {string} input - Encoded string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export function fromBase58(input) {
+    const bytes = [0];
+
+    for (const char of input) {
+        const value = BASE58_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error(`Invalid base58 character: ${char}`);
+        }
+        let carry = value;
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+
+    const zeros = [];
+    for (let i = 0; i < input.length && input[i] === BASE58_ALPHABET[0]; i++) {
+        zeros.push(0);
+    }
+
+    const significant = bytes.reverse();
+    while (significant.length > 1 && significant[0] === 0) {
+        significant.shift();
+    }
+    if (significant.length === 1 && significant[0] === 0) {
+        significant.length = 0;
+    }
+
+    return Uint8Array.from([...zeros, ...significant]);
+}
+
+/**
+ * Read a binary CID from the start of a byte array
+ * @param {Uint8Array} bytes - Bytes beginning with a CID
+ * @param {number} offset - Offset to start reading at
+ * @returns {Object} - { version, codec, hashCode, digest, bytes, length }
+ */
+export function readCidBytes(bytes, offset = 0) {
+    // CIDv0 is a bare sha2-256 multihash
+    if (bytes[offset] === HASHES.SHA2_256 && bytes[offset + 1] === 0x20) {
+        const length = 34;
+        const cidBytes = bytes.subarray(offset, offset + length);
+        if (cidBytes.length !== length) {
+            throw new Error('Truncated CIDv0');
+        }
+        return {
+            version: 0,
+            codec: CODECS.DAG_PB,
+            hashCode: HASHES.SHA2_256,
+            digest: cidBytes.subarray(2),
+            bytes: cidBytes,
+            length
+        };
+    }
+
+    let position = offset;
+    const [version, versionLength] = decodeVarint(bytes, position);
+    position += versionLength;
+    if (version !== 1) {
+        throw new Error(`Unsupported CID version: ${version}`);
+    }
+
+    const [codec, codecLength] = decodeVarint(bytes, position);
+    position += codecLength;
+    const [hashCode, hashCodeLength] = decodeVarint(bytes, position);
+    position += hashCodeLength;
+    const [digestLength, digestLengthLength] = decodeVarint(bytes, position);
+    position += digestLengthLength;
+
+    const digest = bytes.subarray(position, position + digestLength);
+    if (digest.length !== digestLength) {
+        throw new Error('Truncated multihash digest');
+    }
+    position += digestLength;
+
+    return {
+        version,
+        codec,
+        hashCode,
+        digest,
+        bytes: bytes.subarray(offset, position),
+        length: position - offset
+    };
+}
+
+/**
+ * Decode a CID string into its binary components
+ * @param {string} cid - CID string (CIDv0 or multibase-prefixed CIDv1)
+ * @returns {Object} - Decoded CID, see readCidBytes
+ */
+export function decodeCid(cid) {
+    if (typeof cid !== 'string' || cid.length < 2) {
+        throw new Error('CID must be a non-empty string');
+    }
+
+    let bytes;
+    if (cid.length === 46 && cid.startsWith('Qm')) {
+        bytes = fromBase58(cid);
+    } else {
+        const prefix = cid[0];
+        const body = cid.slice(1);
+        switch (prefix) {
+            case 'b':
+            case 'B':
+                bytes = fromBase32(body);
+                break;
+            case 'z':
+                bytes = fromBase58(body);
+                break;
+            default:
+                throw new Error(`Unsupported multibase prefix: ${prefix}`);
+        }
+    }
+
+    const decoded = readCidBytes(bytes);
+    if (decoded.length !== bytes.length) {
+        throw new Error('Unexpected trailing bytes in CID');
+    }
+    return decoded;
+}
+
+/**
+ * Encode a decoded CID as its canonical string
+ * @param {Object} cid - Decoded CID (see readCidBytes)
+ * @returns {string} - base58btc for CIDv0, base32 for CIDv1
+ */
+export function encodeCid(cid) {
+    return cid.version === 0
+        ? toBase58(cid.bytes)
+        : `b${toBase32(cid.bytes)}`;
+}
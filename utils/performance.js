@@ -190,6 +190,18 @@ export class ColorAnalyzer {
     return hue;
   }
 
+  /**
+   * Blend two hues along the shorter way around the colour wheel
+   * @param {number} from - Starting hue (0-360)
+   * @param {number} to - Target hue (0-360)
+   * @param {number} amount - Blend amount from 0 (from) to 1 (to)
+   * @returns {number} - Blended hue (0-360)
+   */
+  mixHues(from, to, amount) {
+    const delta = ((to - from + 540) % 360) - 180;
+    return (from + delta * amount + 360) % 360;
+  }
+
   /**
    * Clean up resources
    */
@@ -0,0 +1,309 @@
+/**
+ * Playlist file formats: M3U/M3U8, XSPF and the player's JSON schema
+ * (documented in docs/playlist-format.md).
+ * Parsers return { name, entries: [{ uri, title, duration }] } with durations
+ * in seconds; serializers take the same shape with URIs already built.
+ * The IPLD form (toDagPlaylist/fromDagPlaylist) works on sources instead and
+ * stores content as links so the playlist DAG references its videos.
+ */
+import { parseContentPath } from './cid.js';
+
+export const FORMATS = ['m3u', 'xspf', 'json'];
+export const JSON_FORMAT_ID = 'ipfs-video-playlist';
+export const JSON_FORMAT_VERSION = 1;
+
+const MIME_TYPES = {
+    m3u: 'audio/x-mpegurl',
+    xspf: 'application/xspf+xml',
+    json: 'application/json'
+};
+
+/**
+ * Guess the format of a playlist file
+ * @param {string} text - File contents
+ * @param {string} [filename] - File name
+ * @returns {string|null} - 'm3u', 'xspf', 'json' or null
+ */
+export function detectFormat(text, filename = '') {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (extension === 'm3u' || extension === 'm3u8') return 'm3u';
+    if (extension === 'xspf') return 'xspf';
+    if (extension === 'json') return 'json';
+
+    const start = text.trimStart();
+    if (start.startsWith('#EXTM3U')) return 'm3u';
+    if (start.startsWith('<')) return 'xspf';
+    if (start.startsWith('{')) return 'json';
+    // A bare list of URIs is valid M3U
+    return start ? 'm3u' : null;
+}
+
+/**
+ * Get the MIME type for a format
+ * @param {string} format - Playlist format
+ * @returns {string} - MIME type
+ */
+export function getMimeType(format) {
+    return MIME_TYPES[format];
+}
+
+/**
+ * Parse M3U/M3U8, reading titles and durations from #EXTINF
+ * @param {string} text - Playlist text
+ * @returns {Object} - { name, entries }
+ */
+export function parseM3u(text) {
+    const entries = [];
+    let name = null;
+    let pending = {};
+
+    for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#EXTINF:')) {
+            const [, duration, title] = /^#EXTINF:\s*(-?[\d.]+)[^,]*,?(.*)$/.exec(line) || [];
+            const seconds = parseFloat(duration);
+            pending = {
+                duration: seconds >= 0 ? seconds : null,
+                title: title?.trim() || null
+            };
+        } else if (line.startsWith('#PLAYLIST:')) {
+            name = line.slice('#PLAYLIST:'.length).trim() || null;
+        } else if (!line.startsWith('#')) {
+            entries.push({ uri: line, title: pending.title ?? null, duration: pending.duration ?? null });
+            pending = {};
+        }
+    }
+
+    return { name, entries };
+}
+
+/**
+ * Serialize as extended M3U (UTF-8, so valid M3U8)
+ * @param {Object} playlist - { name, entries }
+ * @returns {string} - Playlist text
+ */
+export function serializeM3u({ name, entries }) {
+    const lines = ['#EXTM3U'];
+    if (name) {
+        lines.push(`#PLAYLIST:${name}`);
+    }
+
+    for (const { uri, title, duration } of entries) {
+        const seconds = Number.isFinite(duration) ? Math.round(duration) : -1;
+        lines.push(`#EXTINF:${seconds},${(title || '').replace(/[\r\n]+/g, ' ')}`);
+        lines.push(uri);
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escape text for XML
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse XSPF; durations are stored in milliseconds
+ * @param {string} text - XSPF document
+ * @returns {Object} - { name, entries }
+ */
+export function parseXspf(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('Malformed XSPF document');
+    }
+
+    const child = (element, tag) => element.getElementsByTagName(tag)[0]?.textContent.trim() || null;
+    const playlist = doc.getElementsByTagName('playlist')[0];
+    if (!playlist) {
+        throw new Error('XSPF document has no playlist element');
+    }
+
+    const trackList = playlist.getElementsByTagName('trackList')[0];
+    const entries = Array.from(trackList?.getElementsByTagName('track') || [])
+        .map(track => {
+            const duration = parseInt(child(track, 'duration'), 10);
+            return {
+                uri: child(track, 'location'),
+                title: child(track, 'title'),
+                duration: Number.isFinite(duration) ? duration / 1000 : null
+            };
+        })
+        .filter(entry => entry.uri);
+
+    const title = Array.from(playlist.children).find(element => element.tagName === 'title');
+    return { name: title?.textContent.trim() || null, entries };
+}
+
+/**
+ * Serialize as XSPF
+ * @param {Object} playlist - { name, entries }
+ * @returns {string} - XSPF document
+ */
+export function serializeXspf({ name, entries }) {
+    const tracks = entries.map(({ uri, title, duration }) => [
+        '    <track>',
+        `      <location>${escapeXml(uri)}</location>`,
+        title ? `      <title>${escapeXml(title)}</title>` : null,
+        Number.isFinite(duration) ? `      <duration>${Math.round(duration * 1000)}</duration>` : null,
+        '    </track>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        name ? `  <title>${escapeXml(name)}</title>` : null,
+        '  <trackList>',
+        ...tracks,
+        '  </trackList>',
+        '</playlist>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Parse the JSON playlist schema
+ * @param {string} text - JSON document
+ * @returns {Object} - { name, entries }
+ */
+export function parseJsonPlaylist(text) {
+    const data = JSON.parse(text);
+    if (data?.format !== JSON_FORMAT_ID) {
+        throw new Error(`Not an ${JSON_FORMAT_ID} document`);
+    }
+    if (data.version !== JSON_FORMAT_VERSION) {
+        throw new Error(`Unsupported playlist version: ${data.version}`);
+    }
+    if (!Array.isArray(data.entries)) {
+        throw new Error('Playlist entries must be an array');
+    }
+
+    return {
+        name: typeof data.name === 'string' ? data.name : null,
+        entries: data.entries.map(entry => ({
+            uri: entry?.uri,
+            title: typeof entry?.title === 'string' ? entry.title : null,
+            duration: Number.isFinite(entry?.duration) ? entry.duration : null
+        }))
+    };
+}
+
+/**
+ * Serialize as the JSON playlist schema
+ * @param {Object} playlist - { name, entries }
+ * @returns {string} - JSON document
+ */
+export function serializeJsonPlaylist({ name, entries }) {
+    return `${JSON.stringify({
+        format: JSON_FORMAT_ID,
+        version: JSON_FORMAT_VERSION,
+        name,
+        entries: entries.map(({ uri, title, duration }) => ({
+            uri,
+            ...(title ? { title } : {}),
+            ...(Number.isFinite(duration) ? { duration } : {})
+        }))
+    }, null, 2)}\n`;
+}
+
+/**
+ * Parse a playlist file in any supported format
+ * @param {string} text - File contents
+ * @param {string} format - 'm3u', 'xspf' or 'json'
+ * @returns {Object} - { name, entries }
+ */
+export function parsePlaylist(text, format) {
+    switch (format) {
+        case 'm3u':
+            return parseM3u(text);
+        case 'xspf':
+            return parseXspf(text);
+        case 'json':
+            return parseJsonPlaylist(text);
+        default:
+            throw new Error(`Unsupported playlist format: ${format}`);
+    }
+}
+
+/**
+ * Serialize a playlist in any supported format
+ * @param {Object} playlist - { name, entries }
+ * @param {string} format - 'm3u', 'xspf' or 'json'
+ * @returns {string} - File contents
+ */
+export function serializePlaylist(playlist, format) {
+    switch (format) {
+        case 'm3u':
+            return serializeM3u(playlist);
+        case 'xspf':
+            return serializeXspf(playlist);
+        case 'json':
+            return serializeJsonPlaylist(playlist);
+        default:
+            throw new Error(`Unsupported playlist format: ${format}`);
+    }
+}
+
+/**
+ * Build the IPLD playlist document, encoded as dag-json
+ * @param {Object} playlist - { name, entries: [{ source, title, duration }] }
+ * @returns {Object} - dag-json document
+ */
+export function toDagPlaylist({ name, entries }) {
+    return {
+        format: JSON_FORMAT_ID,
+        version: JSON_FORMAT_VERSION,
+        name: name || null,
+        entries: entries.map(({ source, title, duration }) => {
+            const content = parseContentPath(source);
+            return {
+                ...(content
+                    ? { content: { '/': content.cid }, ...(content.path ? { path: content.path } : {}) }
+                    : { name: source }),
+                ...(title ? { title } : {}),
+                ...(Number.isFinite(duration) ? { duration } : {})
+            };
+        })
+    };
+}
+
+/**
+ * Read an IPLD playlist document
+ * @param {Object} node - dag-json node
+ * @returns {Object} - { name, entries: [{ source, title, duration }] }
+ */
+export function fromDagPlaylist(node) {
+    if (node?.format !== JSON_FORMAT_ID || !Array.isArray(node.entries)) {
+        throw new Error(`Not an ${JSON_FORMAT_ID} document`);
+    }
+    if (node.version !== JSON_FORMAT_VERSION) {
+        throw new Error(`Unsupported playlist version: ${node.version}`);
+    }
+
+    const entries = node.entries
+        .map(entry => {
+            const cid = entry?.content?.['/'];
+            const source = typeof cid === 'string'
+                ? (entry.path ? `${cid}/${entry.path}` : cid)
+                : entry?.name;
+            return {
+                source,
+                title: typeof entry?.title === 'string' ? entry.title : null,
+                duration: Number.isFinite(entry?.duration) ? entry.duration : null
+            };
+        })
+        .filter(entry => typeof entry.source === 'string' && entry.source);
+
+    return { name: typeof node.name === 'string' ? node.name : null, entries };
+}
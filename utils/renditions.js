@@ -0,0 +1,104 @@
+/**
+ * Rendition manifests list the encodings of one video, one CID (or path)
+ * per quality level (documented in docs/rendition-manifest.md). They ship as
+ * a renditions.json sidecar next to the video or as their own dag-json or
+ * dag-cbor document.
+ */
+import { parseContentPath } from './cid.js';
+
+export const RENDITIONS_FORMAT_ID = 'ipfs-video-renditions';
+export const RENDITIONS_FORMAT_VERSION = 1;
+
+/**
+ * Check whether a parsed document is a rendition manifest
+ * @param {Object} doc - JSON or dag-json document
+ * @returns {boolean} - Whether the document declares the renditions format
+ */
+export function isRenditionManifest(doc) {
+    return doc?.format === RENDITIONS_FORMAT_ID;
+}
+
+/**
+ * Read a rendition manifest
+ * @param {Object} doc - JSON or dag-json document
+ * @param {string|null} [base] - Content path of the manifest's directory,
+ *   which relative `path` entries resolve against
+ * @returns {Object[]} - [{ height, bitrate, source }] from lowest to highest
+ */
+export function parseRenditions(doc, base = null) {
+    if (!isRenditionManifest(doc) || !Array.isArray(doc.renditions)) {
+        throw new Error(`Not an ${RENDITIONS_FORMAT_ID} document`);
+    }
+    if (doc.version !== RENDITIONS_FORMAT_VERSION) {
+        throw new Error(`Unsupported rendition manifest version: ${doc.version}`);
+    }
+
+    return doc.renditions
+        .map(entry => ({
+            height: Number.isFinite(entry?.height) ? entry.height : null,
+            bitrate: Number.isFinite(entry?.bitrate) ? entry.bitrate : null,
+            source: getEntrySource(entry, base)
+        }))
+        .filter(rendition => rendition.height && rendition.source)
+        .sort((a, b) => a.height - b.height);
+}
+
+/**
+ * Resolve the content path of a manifest entry
+ * @param {Object} entry - { content: { '/': cid }, path } link, { uri } or a relative { path }
+ * @param {string|null} base - Directory content path
+ * @returns {string|null} - Content path
+ */
+function getEntrySource(entry, base) {
+    const cid = entry?.content?.['/'];
+    if (typeof cid === 'string') {
+        return entry.path ? `${cid}/${entry.path}` : cid;
+    }
+    if (typeof entry?.uri === 'string') {
+        return parseContentPath(entry.uri)?.contentPath || null;
+    }
+    if (typeof entry?.path === 'string' && base) {
+        return `${base}/${entry.path.replace(/^\.?\//, '')}`;
+    }
+    return null;
+}
+
+/**
+ * Pair quality levels with the renditions encoded at their height
+ * @param {Object[]} renditions - Parsed renditions
+ * @param {Object[]} levels - Quality levels { bitrate, height }
+ * @returns {Object[]} - Levels that have a rendition, with its source and
+ *   its declared bitrate when it has one
+ */
+export function matchQualityLevels(renditions, levels) {
+    return levels
+        .map(level => {
+            const rendition = renditions.find(candidate => candidate.height === level.height);
+            return rendition && {
+                ...level,
+                bitrate: rendition.bitrate || level.bitrate,
+                source: rendition.source
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Work out what to play for a rendition manifest published as its own DAG
+ * @param {string} cid - CID of the manifest
+ * @param {Object} node - dag-json node
+ * @returns {Object} - { cid, path, sidecars, renditions } shaped like resolvePlayback()
+ */
+export function resolveRenditionPlayback(cid, node) {
+    const renditions = parseRenditions(node);
+    if (renditions.length === 0) {
+        throw new Error(`Rendition manifest ${cid} lists no playable renditions`);
+    }
+
+    return {
+        cid,
+        path: renditions[renditions.length - 1].source,
+        sidecars: { subtitles: [], poster: null, metadata: null, renditions: null },
+        renditions
+    };
+}
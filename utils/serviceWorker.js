@@ -0,0 +1,61 @@
+import eventEmitter from './EventEmitter.js';
+import { getAvailableGateways } from './gatewayRace.js';
+import { SERVICE_WORKER } from '../config/config.js';
+
+let registering = null;
+
+/**
+ * Send the worker the gateways it may fail over to, best first
+ * @param {ServiceWorker|null} worker - Active service worker
+ */
+function postGateways(worker) {
+    worker?.postMessage({
+        type: 'gateways',
+        gateways: getAvailableGateways().map(({ id, template, headers }) => ({ id, template, headers }))
+    });
+}
+
+/**
+ * Register sw.js and keep its gateway list current
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, or null when unavailable
+ */
+export function registerServiceWorker() {
+    if (!SERVICE_WORKER.ENABLED || !('serviceWorker' in navigator)) {
+        return Promise.resolve(null);
+    }
+
+    // The app may initialize more than once; register and subscribe only once
+    if (!registering) {
+        registering = register();
+    }
+    return registering;
+}
+
+/**
+ * Register the worker and subscribe to gateway changes
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, or null on failure
+ */
+async function register() {
+    try {
+        // The worker imports the config and CID modules, so it must be a module worker
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER.SCRIPT_URL, { type: 'module' });
+        await navigator.serviceWorker.ready;
+
+        const update = () => postGateways(navigator.serviceWorker.controller || registration.active);
+        update();
+        navigator.serviceWorker.addEventListener('controllerchange', update);
+        eventEmitter.on('gateways:changed', update);
+        eventEmitter.on('local-node:status', update);
+        return registration;
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Drop every byte range the service worker has cached
+ */
+export function clearRangeCache() {
+    navigator.serviceWorker?.controller?.postMessage({ type: 'clear' });
+}
@@ -0,0 +1,50 @@
+/**
+ * Streaming manifest formats played through SegmentPlayer. Each manifest
+ * class takes its content path and a (path, start, end) => Promise<Response>
+ * fetch function, and exposes `variants` and `loadVariant(variant)` once
+ * loaded.
+ */
+import { HlsManifest, HLS_MIME_TYPE, isHlsPath } from './hls.js';
+import { DashManifest, DASH_MIME_TYPE, isDashPath } from './dash.js';
+
+const MIME_TYPES = {
+    hls: HLS_MIME_TYPE,
+    dash: DASH_MIME_TYPE
+};
+
+/**
+ * Detect the manifest format of a content path
+ * @param {string} path - Content path
+ * @returns {string|null} - 'hls', 'dash' or null for anything else
+ */
+export function detectManifestFormat(path) {
+    if (isHlsPath(path)) return 'hls';
+    if (isDashPath(path)) return 'dash';
+    return null;
+}
+
+/**
+ * Get the MIME type browsers with native support recognise for a format
+ * @param {string} format - Manifest format
+ * @returns {string} - MIME type
+ */
+export function getManifestMimeType(format) {
+    return MIME_TYPES[format];
+}
+
+/**
+ * Create the manifest for a content path
+ * @param {string} path - Content path of the manifest
+ * @param {Function} fetchFile - (path, start, end) => Promise<Response>
+ * @returns {HlsManifest|DashManifest} - Manifest, not yet loaded
+ */
+export function createManifest(path, fetchFile) {
+    switch (detectManifestFormat(path)) {
+        case 'hls':
+            return new HlsManifest(path, fetchFile);
+        case 'dash':
+            return new DashManifest(path, fetchFile);
+        default:
+            throw new Error(`Not a streaming manifest: ${path}`);
+    }
+}
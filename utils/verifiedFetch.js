@@ -0,0 +1,531 @@
+import {
+    CODECS,
+    HASHES,
+    decodeCid,
+    decodeVarint,
+    encodeCid,
+    readCidBytes
+} from './multiformats.js';
+import { ProviderError, VerificationError } from './ErrorHandler.js';
+
+const UNIXFS_TYPES = {
+    RAW: 0,
+    DIRECTORY: 1,
+    FILE: 2,
+    METADATA: 3,
+    SYMLINK: 4,
+    HAMT_SHARD: 5
+};
+
+/**
+ * Read the fields of a protobuf message
+ * @param {Uint8Array} bytes - Encoded message
+ * @returns {Array} - List of { field, value } in wire order
+ */
+function readProtobuf(bytes) {
+    const fields = [];
+    let position = 0;
+
+    while (position < bytes.length) {
+        const [key, keyLength] = decodeVarint(bytes, position);
+        position += keyLength;
+        const field = Math.floor(key / 8);
+        const wireType = key & 7;
+
+        if (wireType === 0) {
+            const [value, valueLength] = decodeVarint(bytes, position);
+            position += valueLength;
+            fields.push({ field, value });
+        } else if (wireType === 2) {
+            const [length, lengthLength] = decodeVarint(bytes, position);
+            position += lengthLength;
+            if (position + length > bytes.length) {
+                throw new Error('Truncated protobuf field');
+            }
+            fields.push({ field, value: bytes.subarray(position, position + length) });
+            position += length;
+        } else {
+            throw new Error(`Unsupported protobuf wire type: ${wireType}`);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Decode a dag-pb node
+ * @param {Uint8Array} bytes - Block bytes
+ * @returns {Object} - { data, links: [{ cid, name, tsize }] }
+ */
+export function decodeDagPb(bytes) {
+    const node = { data: new Uint8Array(0), links: [] };
+
+    for (const { field, value } of readProtobuf(bytes)) {
+        if (field === 1) {
+            node.data = value;
+        } else if (field === 2) {
+            const link = { cid: null, name: '', tsize: 0 };
+            for (const linkField of readProtobuf(value)) {
+                if (linkField.field === 1) {
+                    link.cid = encodeCid(readCidBytes(linkField.value));
+                } else if (linkField.field === 2) {
+                    link.name = new TextDecoder().decode(linkField.value);
+                } else if (linkField.field === 3) {
+                    link.tsize = linkField.value;
+                }
+            }
+            if (!link.cid) {
+                throw new Error('dag-pb link without hash');
+            }
+            node.links.push(link);
+        }
+    }
+
+    return node;
+}
+
+/**
+ * Decode the UnixFS data carried in a dag-pb node
+ * @param {Uint8Array} bytes - UnixFS protobuf bytes
+ * @returns {Object} - { type, data, filesize, blocksizes }
+ */
+export function decodeUnixFs(bytes) {
+    const unixfs = { type: null, data: new Uint8Array(0), filesize: null, blocksizes: [] };
+
+    for (const { field, value } of readProtobuf(bytes)) {
+        switch (field) {
+            case 1:
+                unixfs.type = value;
+                break;
+            case 2:
+                unixfs.data = value;
+                break;
+            case 3:
+                unixfs.filesize = value;
+                break;
+            case 4:
+                // blocksizes may be written packed or one varint per field
+                if (value instanceof Uint8Array) {
+                    let position = 0;
+                    while (position < value.length) {
+                        const [size, sizeLength] = decodeVarint(value, position);
+                        unixfs.blocksizes.push(size);
+                        position += sizeLength;
+                    }
+                } else {
+                    unixfs.blocksizes.push(value);
+                }
+                break;
+        }
+    }
+
+    return unixfs;
+}
+
+/**
+ * Read a section length prefix, if all of it has arrived
+ * @param {Uint8Array} bytes - Buffered bytes
+ * @param {number} position - Offset of the prefix
+ * @returns {Array|null} - [value, length] or null when more bytes are needed
+ */
+function readSectionLength(bytes, position) {
+    for (let i = position; i < bytes.length && i < position + 8; i++) {
+        if (bytes[i] < 0x80) {
+            return decodeVarint(bytes, position);
+        }
+    }
+    if (bytes.length - position >= 8) {
+        throw new Error('Invalid varint');
+    }
+    return null;
+}
+
+/**
+ * Incremental CARv1 parser. Bytes are pushed as they arrive and every block
+ * is copied out of its network chunk, so a streamed CAR is only held in
+ * memory once, as its blocks.
+ */
+export class CarParser {
+    constructor() {
+        this.blocks = new Map();
+        this.pending = new Uint8Array(0);
+        this.headerRead = false;
+    }
+
+    /**
+     * Parse the sections completed by a chunk
+     * @param {Uint8Array} chunk - Next bytes of the CAR
+     */
+    push(chunk) {
+        let bytes = chunk;
+        if (this.pending.length > 0) {
+            bytes = new Uint8Array(this.pending.length + chunk.length);
+            bytes.set(this.pending);
+            bytes.set(chunk, this.pending.length);
+        }
+
+        let position = 0;
+        for (;;) {
+            const prefix = readSectionLength(bytes, position);
+            if (!prefix) break;
+
+            const [sectionLength, prefixLength] = prefix;
+            const end = position + prefixLength + sectionLength;
+            if (end > bytes.length) break;
+
+            // The header section carries no block
+            if (this.headerRead) {
+                const section = bytes.slice(position + prefixLength, end);
+                const cid = readCidBytes(section);
+                this.blocks.set(encodeCid(cid), { cid, data: section.subarray(cid.length) });
+            }
+            this.headerRead = true;
+            position = end;
+        }
+
+        this.pending = bytes.slice(position);
+    }
+
+    /**
+     * Finish parsing once the stream has ended
+     * @returns {Map<string, Object>} - Blocks keyed by CID string
+     */
+    finish() {
+        if (!this.headerRead) {
+            throw new Error('Truncated CAR header');
+        }
+        if (this.pending.length > 0) {
+            throw new Error('Truncated CAR section');
+        }
+        return this.blocks;
+    }
+}
+
+/**
+ * Parse a CARv1 file into its blocks
+ * @param {Uint8Array} bytes - CAR file bytes
+ * @returns {Map<string, Object>} - Blocks keyed by CID string
+ */
+export function parseCar(bytes) {
+    const parser = new CarParser();
+    parser.push(bytes);
+    return parser.finish();
+}
+
+/**
+ * Read a CAR response body into its blocks as it streams in. Network and
+ * abort errors pass through unchanged; only bytes that don't parse count
+ * against the gateway.
+ * @param {Response} response - CAR response
+ * @param {string} cid - Requested content, for errors
+ * @param {string} provider - Provider name, for errors
+ * @returns {Promise<Map<string, Object>>} - Blocks keyed by CID string
+ */
+async function readCar(response, cid, provider) {
+    const parser = new CarParser();
+    const malformed = error => new VerificationError(`Malformed CAR response: ${error.message}`, provider, cid);
+
+    if (response.body) {
+        const reader = response.body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            try {
+                parser.push(value);
+            } catch (error) {
+                reader.cancel().catch(() => {});
+                throw malformed(error);
+            }
+        }
+    }
+
+    try {
+        return parser.finish();
+    } catch (error) {
+        throw malformed(error);
+    }
+}
+
+/**
+ * Check that a block's bytes hash to its CID
+ * @param {Object} cid - Decoded CID
+ * @param {Uint8Array} data - Block bytes
+ * @returns {Promise<boolean>} - Whether the block matches
+ */
+export async function verifyBlock(cid, data) {
+    let digest;
+
+    if (cid.hashCode === HASHES.SHA2_256) {
+        digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    } else if (cid.hashCode === HASHES.IDENTITY) {
+        digest = data;
+    } else {
+        throw new Error(`Unsupported multihash: 0x${cid.hashCode.toString(16)}`);
+    }
+
+    if (digest.length !== cid.digest.length) {
+        return false;
+    }
+    return digest.every((byte, i) => byte === cid.digest[i]);
+}
+
+/**
+ * Guess a media type from the first bytes of a file
+ * @param {Uint8Array} bytes - Leading file bytes
+ * @returns {string} - MIME type
+ */
+export function sniffContentType(bytes) {
+    const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+    if (bytes.length >= 12 && ascii(4, 8) === 'ftyp') {
+        return ascii(8, 10) === 'qt' ? 'video/quicktime' : 'video/mp4';
+    }
+    if (bytes.length >= 4 && bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+        return 'video/webm';
+    }
+    return 'application/octet-stream';
+}
+
+/**
+ * Walks a verified UnixFS file DAG and extracts a byte range
+ */
+class UnixFsReader {
+    constructor(blocks, provider) {
+        this.blocks = blocks;
+        this.provider = provider;
+        this.verified = new Set();
+    }
+
+    /**
+     * Get a block, verifying its hash the first time it is read
+     * @param {string} cid - CID string
+     * @returns {Promise<Object>} - Block { cid, data }
+     */
+    async getBlock(cid) {
+        const block = this.blocks.get(cid);
+        if (!block) {
+            throw new VerificationError(`Gateway response is missing block ${cid}`, this.provider, cid);
+        }
+
+        if (!this.verified.has(cid)) {
+            if (!(await verifyBlock(block.cid, block.data))) {
+                throw new VerificationError(`Block ${cid} does not match its hash`, this.provider, cid);
+            }
+            this.verified.add(cid);
+        }
+
+        return block;
+    }
+
+    /**
+     * Follow a path through UnixFS directories, verifying each directory block
+     * @param {string} cid - Root CID string
+     * @param {string[]} segments - Path segments below the root
+     * @returns {Promise<string>} - CID string of the target node
+     */
+    async resolvePath(cid, segments) {
+        let current = cid;
+
+        for (const segment of segments) {
+            const block = await this.getBlock(current);
+            if (block.cid.codec !== CODECS.DAG_PB) {
+                throw new Error(`Cannot resolve ${segment}: not a directory`);
+            }
+
+            const node = decodeDagPb(block.data);
+            const unixfs = decodeUnixFs(node.data);
+            if (unixfs.type === UNIXFS_TYPES.HAMT_SHARD) {
+                throw new Error('Sharded directories are not supported in verified mode');
+            }
+            if (unixfs.type !== UNIXFS_TYPES.DIRECTORY) {
+                throw new Error(`Cannot resolve ${segment}: not a directory`);
+            }
+
+            const link = node.links.find(candidate => candidate.name === segment);
+            if (!link) {
+                throw new VerificationError(`Directory ${current} has no entry ${segment}`, this.provider, current);
+            }
+            current = link.cid;
+        }
+
+        return current;
+    }
+
+    /**
+     * Get the total file size of a UnixFS node
+     * @param {string} cid - Root CID string
+     * @returns {Promise<number>} - File size in bytes
+     */
+    async getSize(cid) {
+        const block = await this.getBlock(cid);
+        if (block.cid.codec === CODECS.RAW) {
+            return block.data.length;
+        }
+
+        const unixfs = this.decodeFileNode(block).unixfs;
+        if (unixfs.filesize !== null) {
+            return unixfs.filesize;
+        }
+        return unixfs.data.length + unixfs.blocksizes.reduce((sum, size) => sum + size, 0);
+    }
+
+    /**
+     * Decode a dag-pb file node, rejecting anything that is not a file
+     * @param {Object} block - Block { cid, data }
+     * @returns {Object} - { node, unixfs }
+     */
+    decodeFileNode(block) {
+        if (block.cid.codec !== CODECS.DAG_PB) {
+            throw new Error(`Unsupported codec: 0x${block.cid.codec.toString(16)}`);
+        }
+
+        const node = decodeDagPb(block.data);
+        const unixfs = decodeUnixFs(node.data);
+        if (unixfs.type !== UNIXFS_TYPES.FILE && unixfs.type !== UNIXFS_TYPES.RAW) {
+            throw new Error('CID does not reference a UnixFS file');
+        }
+        if (node.links.length !== unixfs.blocksizes.length) {
+            throw new VerificationError('UnixFS blocksizes do not match links', this.provider, encodeCid(block.cid));
+        }
+
+        return { node, unixfs };
+    }
+
+    /**
+     * Read the bytes in [start, end) of a file node
+     * @param {string} cid - Node CID string
+     * @param {number} start - Start offset relative to the node
+     * @param {number} end - End offset (exclusive) relative to the node
+     * @param {Uint8Array[]} out - Collected byte slices
+     */
+    async read(cid, start, end, out) {
+        const block = await this.getBlock(cid);
+
+        if (block.cid.codec === CODECS.RAW) {
+            out.push(block.data.subarray(start, end));
+            return;
+        }
+
+        const { node, unixfs } = this.decodeFileNode(block);
+        let offset = 0;
+
+        if (unixfs.data.length > 0) {
+            if (start < unixfs.data.length) {
+                out.push(unixfs.data.subarray(start, Math.min(end, unixfs.data.length)));
+            }
+            offset = unixfs.data.length;
+        }
+
+        for (let i = 0; i < node.links.length && offset < end; i++) {
+            const size = unixfs.blocksizes[i];
+            if (offset + size > start) {
+                await this.read(
+                    node.links[i].cid,
+                    Math.max(0, start - offset),
+                    Math.min(size, end - offset),
+                    out
+                );
+            }
+            offset += size;
+        }
+    }
+}
+
+/**
+ * Build the trustless gateway URL for a CAR response
+ * @param {string} url - Plain gateway URL for the content
+ * @param {number} [start] - First byte of the requested range
+ * @param {number} [end] - Last byte (inclusive) of the requested range
+ * @returns {string} - CAR request URL
+ */
+function buildCarUrl(url, start, end) {
+    const carUrl = new URL(url);
+    carUrl.searchParams.set('format', 'car');
+    carUrl.searchParams.set('dag-scope', 'entity');
+    if (start !== undefined) {
+        carUrl.searchParams.set('entity-bytes', `${start}:${end ?? '*'}`);
+    }
+    return carUrl.toString();
+}
+
+/**
+ * Collect the first bytes of a list of slices
+ * @param {Uint8Array[]} slices - Byte slices
+ * @param {number} size - Bytes wanted
+ * @returns {Uint8Array} - Up to `size` leading bytes
+ */
+function getHead(slices, size) {
+    const head = new Uint8Array(Math.min(size, slices.reduce((sum, slice) => sum + slice.length, 0)));
+    let offset = 0;
+    for (const slice of slices) {
+        if (offset >= head.length) break;
+        const part = slice.subarray(0, head.length - offset);
+        head.set(part, offset);
+        offset += part.length;
+    }
+    return head;
+}
+
+/**
+ * Fetch content from a gateway as a CAR and verify every block against the CID
+ * before handing the bytes out.
+ *
+ * @param {string} url - Gateway URL for the content
+ * @param {string} cid - Content ID that was requested, optionally followed by /path/inside
+ * @param {Object} options - { start, end, provider, headers, signal, onHeaders }, where
+ *   onHeaders() is called when the CAR response headers arrive, before the body is read
+ * @returns {Promise<Response>} - Response containing only verified bytes
+ */
+export async function fetchVerified(url, cid, options = {}) {
+    const { start, end, provider, headers = {}, signal, onHeaders } = options;
+
+    const response = await fetch(buildCarUrl(url, start, end), {
+        headers: { ...headers, Accept: 'application/vnd.ipld.car' },
+        signal
+    });
+    onHeaders?.();
+
+    if (!response.ok) {
+        throw new ProviderError(`HTTP ${response.status}`, provider);
+    }
+
+    const blocks = await readCar(response, cid, provider);
+
+    const [rootCid, ...segments] = cid.split('/');
+    const reader = new UnixFsReader(blocks, provider);
+    const root = await reader.resolvePath(encodeCid(decodeCid(rootCid)), segments);
+    const size = await reader.getSize(root);
+
+    const rangeStart = start ?? 0;
+    const rangeEnd = Math.min(end !== undefined ? end + 1 : size, size);
+    const slices = [];
+    await reader.read(root, rangeStart, rangeEnd, slices);
+
+    const length = slices.reduce((sum, slice) => sum + slice.length, 0);
+    if (length !== rangeEnd - rangeStart) {
+        throw new VerificationError('Verified content length does not match UnixFS size', provider, cid);
+    }
+
+    // Stream the slices, which still point into the blocks, instead of copying them again
+    const body = new ReadableStream({
+        start(controller) {
+            slices.forEach(slice => controller.enqueue(slice));
+            controller.close();
+        }
+    });
+
+    const ranged = start !== undefined;
+    const responseHeaders = {
+        'Content-Type': rangeStart === 0 ? sniffContentType(getHead(slices, 16)) : 'application/octet-stream',
+        'Content-Length': String(length),
+        'X-Content-Verified': 'true'
+    };
+    if (ranged) {
+        responseHeaders['Content-Range'] = `bytes ${rangeStart}-${rangeEnd - 1}/${size}`;
+    }
+
+    return new Response(body, {
+        status: ranged ? 206 : 200,
+        headers: responseHeaders
+    });
+}
@@ -1,4 +1,8 @@
 import eventEmitter from './utils/EventEmitter.js';
+import metadataResolver from './utils/MetadataResolver.js';
+import { resolvePlayback, selectManifestLink } from './utils/directoryListing.js';
+import nameResolver from './utils/NameResolver.js';
+import { parseContentPath } from './utils/cid.js';
 import { VIDEO } from './config/config.js';
 
 /**
@@ -49,12 +53,34 @@ class VideoSourceManager {
         }
     }
 
+    /**
+     * Turn a source reference into a content path, resolving IPNS names and
+     * DNSLink domains through their cached resolution
+     * @param {string} source - CID, CID/path, ipfs:// or gateway URL, /ipns/<name> or DNSLink domain
+     * @returns {Promise<string>} - Normalised content path (CID, optionally followed by a path)
+     */
+    async resolveSource(source) {
+        const content = parseContentPath(source);
+        if (content) {
+            return content.contentPath;
+        }
+        if (nameResolver.isName(source)) {
+            return (await nameResolver.resolve(source)).path;
+        }
+        throw new Error(`Invalid CID: ${source}`);
+    }
+
     /**
      * Validate a video CID
      * @param {string} cid - Content ID to validate
      * @returns {Promise<boolean>} - Whether the CID is valid
      */
     async validateCid(cid) {
+        // Reject malformed CIDs before touching the network
+        if (!parseContentPath(cid)) {
+            return false;
+        }
+
         // Check cache first
         if (this.validCids.has(cid)) {
             return true;
@@ -80,24 +106,17 @@ class VideoSourceManager {
      * @returns {Promise<Object>} - Video metadata
      */
     async fetchMetadata(cid) {
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), VIDEO.LOAD_TIMEOUT);
+        return metadataResolver.resolve(cid);
+    }
 
-        try {
-            const response = await fetch(`https://ipfs.io/api/v0/dag/get?arg=${cid}`, {
-                signal: controller.signal
-            });
-            
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            return await response.json();
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                throw new Error('Metadata request timed out');
-            }
-            throw error;
-        } finally {
-            clearTimeout(timeout);
-        }
+    /**
+     * Fetch a whole DAG node (e.g. a playlist document) as dag-json
+     * @param {string} cid - Content ID
+     * @param {Object} options - { timeout }
+     * @returns {Promise<Object>} - dag-json node
+     */
+    async fetchDag(cid, options) {
+        return metadataResolver.getNode(cid, options);
     }
 
     /**
@@ -116,13 +135,13 @@ class VideoSourceManager {
             return false;
         }
 
-        // If has Links, must contain video file
+        // If has Links, must contain a video file or an HLS/DASH manifest
         if (metadata.Links) {
             const hasVideoFile = metadata.Links.some(link =>
                 link.Name.match(/\.(mp4|webm|mov)$/i) &&
                 link.Size > 0
             );
-            if (!hasVideoFile) {
+            if (!hasVideoFile && !selectManifestLink(metadata.Links)) {
                 return false;
             }
         }
@@ -150,6 +169,16 @@ class VideoSourceManager {
         return this.validCids.get(cid) || null;
     }
 
+    /**
+     * Get what to play for a CID: the CID itself, or the best video file and its
+     * sidecars when the CID is a directory
+     * @param {string} cid - Content ID
+     * @returns {Object} - { cid, path, sidecars }
+     */
+    getPlaybackSource(cid) {
+        return resolvePlayback(cid, this.getMetadata(cid));
+    }
+
     /**
      * Clear expired CIDs from cache
      */
@@ -180,6 +209,10 @@ class VideoSourceManager {
 
     preloadValidCids(cids) {
         cids.forEach(cid => {
+            if (!parseContentPath(cid)) {
+                console.warn('Ignoring malformed preloaded CID:', cid);
+                return;
+            }
             if (!this.validCids.has(cid)) {
                 this.validCids.set(cid, {
                     preloaded: true,
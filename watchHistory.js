@@ -0,0 +1,225 @@
+import eventEmitter from './utils/EventEmitter.js';
+import { HISTORY } from './config/config.js';
+
+/**
+ * Keeps a record of watched videos with per-CID statistics, built from the
+ * events the player already emits. Entries are kept least recently watched
+ * first and trimmed to HISTORY.MAX_ITEMS.
+ */
+class WatchHistory {
+    constructor() {
+        this.entries = new Map();
+        this.loaded = new Map();
+        this.current = null;
+        this.lastPosition = null;
+        this.dirty = false;
+        this.lastSave = 0;
+        this.load();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // A video may load ahead of time for a transition, so it is only
+        // recorded once it plays
+        eventEmitter.on('video:loaded', ({ cid, provider, poster }) => {
+            this.loaded.set(cid, { gateway: provider, thumbnail: poster });
+            if (cid === this.current) {
+                this.record(cid, this.loaded.get(cid));
+            }
+        });
+
+        eventEmitter.on('video:sidecar-metadata', ({ videoId, metadata }) => {
+            if (typeof metadata?.title === 'string') {
+                this.update(videoId, { title: metadata.title });
+            }
+        });
+
+        eventEmitter.on('video:timeupdate', ({ cid, currentTime, duration }) => {
+            if (cid !== this.current) {
+                // Updates for a source that is still loading are ignored
+                if (!this.loaded.has(cid)) return;
+                this.record(cid, this.loaded.get(cid));
+            }
+            this.addWatchTime(currentTime, duration);
+        });
+
+        eventEmitter.on('provider:switched', ({ to, cid }) => {
+            this.update(cid, { gateway: to });
+        });
+
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    /**
+     * Start a history entry for a video that just loaded
+     * @param {string} cid - Content path of the video
+     * @param {Object} details - { gateway, thumbnail }
+     */
+    record(cid, { gateway = null, thumbnail = null, title = null } = {}) {
+        const now = Date.now();
+        const previous = this.entries.get(cid);
+
+        this.entries.delete(cid);
+        this.entries.set(cid, {
+            cid,
+            title: title || previous?.title || null,
+            thumbnail: thumbnail || previous?.thumbnail || null,
+            gateway,
+            firstWatched: previous?.firstWatched || now,
+            lastWatched: now,
+            watchTime: previous?.watchTime || 0,
+            position: previous?.position || 0,
+            duration: previous?.duration || null
+        });
+        this.loaded.clear();
+        this.current = cid;
+        this.lastPosition = null;
+        this.prune();
+        this.commit(true);
+    }
+
+    /**
+     * Change fields of an entry, or of a loaded video not recorded yet
+     * @param {string} cid - Content path
+     * @param {Object} changes - Fields to change
+     */
+    update(cid, changes) {
+        if (this.entries.has(cid)) {
+            Object.assign(this.entries.get(cid), changes);
+            this.commit(true);
+        } else if (this.loaded.has(cid)) {
+            Object.assign(this.loaded.get(cid), changes);
+        }
+    }
+
+    /**
+     * Count time spent watching the current video. Jumps larger than
+     * HISTORY.MAX_TIME_STEP between updates are seeks, not viewing.
+     * @param {number} currentTime - Position in seconds
+     * @param {number} duration - Duration in seconds
+     */
+    addWatchTime(currentTime, duration) {
+        const entry = this.entries.get(this.current);
+        if (!entry || !Number.isFinite(currentTime)) return;
+
+        const step = this.lastPosition === null ? 0 : currentTime - this.lastPosition;
+        this.lastPosition = currentTime;
+
+        if (step > 0 && step <= HISTORY.MAX_TIME_STEP) {
+            entry.watchTime += step;
+        }
+        entry.position = currentTime;
+        if (duration > 0) {
+            entry.duration = duration;
+        }
+        entry.lastWatched = Date.now();
+        this.commit(false);
+    }
+
+    /**
+     * Get history entries, most recently watched first
+     * @returns {Object[]} - [{ cid, title, thumbnail, gateway, lastWatched, watchTime, completion, ... }]
+     */
+    getEntries() {
+        return Array.from(this.entries.values())
+            .reverse()
+            .map(entry => ({
+                ...entry,
+                completion: entry.duration > 0 ? Math.min(entry.position / entry.duration, 1) : 0
+            }));
+    }
+
+    /**
+     * Remove a video from the history
+     * @param {string} cid - Content path
+     */
+    remove(cid) {
+        if (this.entries.delete(cid)) {
+            if (this.current === cid) {
+                this.current = null;
+            }
+            this.commit(true);
+        }
+    }
+
+    /**
+     * Remove every video from the history
+     */
+    clear() {
+        this.entries.clear();
+        this.current = null;
+        this.commit(true);
+    }
+
+    /**
+     * Drop the least recently watched entries over the cap
+     */
+    prune() {
+        const excess = this.entries.size - HISTORY.MAX_ITEMS;
+        if (excess <= 0) return;
+
+        Array.from(this.entries.keys())
+            .slice(0, excess)
+            .forEach(cid => this.entries.delete(cid));
+    }
+
+    /**
+     * Mark the history changed and save it, at most every HISTORY.SAVE_INTERVAL
+     * unless the change should be saved now
+     * @param {boolean} immediate - Save without waiting for the interval
+     */
+    commit(immediate) {
+        this.dirty = true;
+        if (immediate || Date.now() - this.lastSave >= HISTORY.SAVE_INTERVAL) {
+            this.flush();
+        }
+        // Playback updates would redraw the panel several times a second
+        if (immediate) {
+            eventEmitter.emit('history:changed');
+        }
+    }
+
+    /**
+     * Save pending changes
+     */
+    flush() {
+        if (this.dirty) {
+            this.save();
+        }
+    }
+
+    /**
+     * Load history from storage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(HISTORY.STORAGE_KEY) || '[]');
+            stored
+                .sort((a, b) => a.lastWatched - b.lastWatched)
+                .forEach(entry => this.entries.set(entry.cid, entry));
+            this.prune();
+        } catch (error) {
+            console.warn('Failed to load watch history:', error);
+        }
+    }
+
+    /**
+     * Save history to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(HISTORY.STORAGE_KEY, JSON.stringify(Array.from(this.entries.values())));
+            this.dirty = false;
+            this.lastSave = Date.now();
+        } catch (error) {
+            console.warn('Failed to save watch history:', error);
+        }
+    }
+}
+
+// Create and export singleton instance
+const watchHistory = new WatchHistory();
+export default watchHistory;
@@ -0,0 +1,195 @@
+import eventEmitter from './utils/EventEmitter.js';
+import { PROGRESS } from './config/config.js';
+
+/**
+ * Remembers how far each CID has been watched so it can be resumed.
+ * Entries are kept least recently watched first and trimmed to PROGRESS.MAX_ITEMS.
+ */
+class WatchProgress {
+    constructor() {
+        this.entries = new Map();
+        this.current = null;
+        this.holding = false;
+        this.dirty = false;
+        this.lastSave = 0;
+        this.load();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        eventEmitter.on('video:timeupdate', ({ currentTime, duration }) => {
+            this.update(currentTime, duration);
+        });
+
+        // Until a resume offer is answered, the start of playback must not overwrite it
+        eventEmitter.on('progress:resume', () => {
+            this.holding = false;
+        });
+        eventEmitter.on('progress:resume-dismissed', () => {
+            this.holding = false;
+        });
+
+        window.addEventListener('pagehide', () => this.flush());
+    }
+
+    /**
+     * Start recording progress for a video
+     * @param {string} cid - Content path being played
+     * @param {Object} options - { resume } false when the start position is already chosen
+     * @returns {number|null} - Position to offer resuming from
+     */
+    track(cid, { resume = true } = {}) {
+        this.stop();
+        this.current = cid;
+
+        const resumeTime = resume ? this.getResumeTime(cid) : null;
+        this.holding = resumeTime !== null;
+        return resumeTime;
+    }
+
+    /**
+     * Stop recording progress, saving what was recorded
+     */
+    stop() {
+        this.flush();
+        this.current = null;
+        this.holding = false;
+    }
+
+    /**
+     * Record the playback position of the current video
+     * @param {number} currentTime - Position in seconds
+     * @param {number} duration - Duration in seconds
+     */
+    update(currentTime, duration) {
+        if (!this.current || this.holding || !(duration > 0) || !Number.isFinite(currentTime)) {
+            return;
+        }
+
+        const previous = this.entries.get(this.current);
+        const finished = currentTime / duration >= PROGRESS.FINISHED_RATIO;
+
+        // Re-insert so the map stays ordered by last watched
+        this.entries.delete(this.current);
+        this.entries.set(this.current, {
+            time: currentTime,
+            duration,
+            finished,
+            updatedAt: Date.now()
+        });
+        this.dirty = true;
+        this.prune();
+
+        if (finished !== Boolean(previous?.finished) || Date.now() - this.lastSave >= PROGRESS.SAVE_INTERVAL) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Get the saved progress for a CID
+     * @param {string} cid - Content path
+     * @returns {Object|null} - { time, duration, finished, updatedAt }
+     */
+    get(cid) {
+        return this.entries.get(cid) || null;
+    }
+
+    /**
+     * Get the position a video can be resumed from
+     * @param {string} cid - Content path
+     * @returns {number|null} - Seconds, or null when finished or barely started
+     */
+    getResumeTime(cid) {
+        const entry = this.get(cid);
+        if (!entry || entry.finished || entry.time < PROGRESS.MIN_RESUME_TIME) {
+            return null;
+        }
+        return entry.time;
+    }
+
+    /**
+     * Check whether a video was watched to the end
+     * @param {string} cid - Content path
+     * @returns {boolean} - Whether it counts as finished
+     */
+    isFinished(cid) {
+        return Boolean(this.get(cid)?.finished);
+    }
+
+    /**
+     * Forget the progress for a CID
+     * @param {string} cid - Content path
+     */
+    remove(cid) {
+        if (this.entries.delete(cid)) {
+            this.dirty = true;
+            this.flush();
+        }
+    }
+
+    /**
+     * Forget all progress
+     */
+    clear() {
+        this.entries.clear();
+        this.dirty = true;
+        this.flush();
+    }
+
+    /**
+     * Drop the least recently watched entries over the cap
+     */
+    prune() {
+        const excess = this.entries.size - PROGRESS.MAX_ITEMS;
+        if (excess <= 0) return;
+
+        Array.from(this.entries.keys())
+            .slice(0, excess)
+            .forEach(cid => this.entries.delete(cid));
+    }
+
+    /**
+     * Save pending changes
+     */
+    flush() {
+        if (this.dirty) {
+            this.save();
+        }
+    }
+
+    /**
+     * Load progress from storage
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PROGRESS.STORAGE_KEY) || '[]');
+            stored
+                .sort((a, b) => a.updatedAt - b.updatedAt)
+                .forEach(({ cid, ...entry }) => this.entries.set(cid, entry));
+            this.prune();
+        } catch (error) {
+            console.warn('Failed to load watch progress:', error);
+        }
+    }
+
+    /**
+     * Save progress to storage
+     */
+    save() {
+        try {
+            const entries = Array.from(this.entries, ([cid, entry]) => ({ cid, ...entry }));
+            localStorage.setItem(PROGRESS.STORAGE_KEY, JSON.stringify(entries));
+            this.dirty = false;
+            this.lastSave = Date.now();
+        } catch (error) {
+            console.warn('Failed to save watch progress:', error);
+        }
+    }
+}
+
+// Create and export singleton instance
+const watchProgress = new WatchProgress();
+export default watchProgress;